@@ -0,0 +1,188 @@
+/**
+ * Backfill price history from git: every committed version of the
+ * `data/*-prices.json` snapshots (registrar outputs and the unified list) is
+ * replayed in commit order into one consolidated dataset with, per source,
+ * TLD, price map, operation and currency, the first-seen and last-changed
+ * dates and every price change.
+ */
+
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { normalizeCurrencyCode } from './currency.js';
+import { escapeCsvField } from './csv.js';
+import { pickPriceMaps } from './diff.js';
+import { flattenPrices } from './history.js';
+
+const execFileAsync = promisify(execFile);
+// Snapshots run to tens of megabytes; leave plenty of headroom.
+const GIT_MAX_BUFFER = 512 * 1024 * 1024;
+
+export const BACKFILL_PATHSPEC = 'data/*-prices.json';
+
+async function git(repoDir, args) {
+  const { stdout } = await execFileAsync('git', args, { cwd: repoDir, maxBuffer: GIT_MAX_BUFFER });
+  return stdout;
+}
+
+/**
+ * Every commit that touched a snapshot, oldest first, with the files it changed.
+ *
+ * @param {string} repoDir
+ * @param {Object} [options]
+ * @param {string} [options.pathspec='data/*-prices.json']
+ * @param {string} [options.since] passed to `git log --since`
+ * @returns {Promise<Array<{ commit: string, date: string, files: string[] }>>}
+ */
+export async function listSnapshotCommits(repoDir, { pathspec = BACKFILL_PATHSPEC, since } = {}) {
+  const args = ['log', '--reverse', '--format=%x00%H %cI', '--name-only'];
+  if (since) args.push(`--since=${since}`);
+  args.push('--', pathspec);
+  const out = await git(repoDir, args);
+  return out.split('\0').filter((chunk) => chunk.trim()).map((chunk) => {
+    const [header, ...files] = chunk.trim().split('\n').map((line) => line.trim()).filter(Boolean);
+    const [commit, date] = header.split(' ');
+    return { commit, date, files };
+  });
+}
+
+/** Read a file as it was at a commit; null when it did not exist there. */
+export async function readFileAtCommit(repoDir, commit, file) {
+  try {
+    return await git(repoDir, ['show', `${commit}:${file}`]);
+  } catch (err) {
+    if (/does not exist|exists on disk, but not in/.test(String(err.stderr || err.message))) return null;
+    throw err;
+  }
+}
+
+function sourceName(file) {
+  return file.replace(/^.*\//, '').replace(/-prices\.json$/, '');
+}
+
+/**
+ * Flatten any snapshot shape into price points keyed like the history store.
+ * Unified lists only contribute their compared `regular-price` map.
+ */
+export function flattenSnapshot(snapshot) {
+  if (!Array.isArray(snapshot)) return flattenPrices(snapshot);
+  const points = new Map();
+  for (const entry of snapshot) {
+    if (!entry?.tld) continue;
+    const currency = normalizeCurrencyCode(entry.currency) || 'USD';
+    for (const [tier, map] of Object.entries(pickPriceMaps(entry, ['regular-price']))) {
+      for (const [operation, price] of Object.entries(map)) {
+        points.set(`${entry.tld}|${tier}|${operation}|${currency}`, { tld: entry.tld, tier, operation, currency, price });
+      }
+    }
+  }
+  return points;
+}
+
+/**
+ * Accumulates snapshot versions (added oldest first per source) into the
+ * consolidated dataset without keeping old versions in memory.
+ */
+export function createHistoryConsolidator() {
+  /** @type {Map<string, Map<string, any>>} source -> key -> record */
+  const sources = new Map();
+  const versions = [];
+
+  return {
+    /**
+     * @param {string} source e.g. `openprovider` or `unified`
+     * @param {string} at ISO date of the version
+     * @param {any} snapshot parsed JSON
+     * @param {string} [commit]
+     */
+    add(source, at, snapshot, commit) {
+      if (!sources.has(source)) sources.set(source, new Map());
+      const records = sources.get(source);
+      const points = flattenSnapshot(snapshot);
+      for (const [key, point] of points) {
+        const record = records.get(key);
+        if (!record) {
+          records.set(key, { source, tld: point.tld, tier: point.tier, operation: point.operation, currency: point.currency, first_seen: at, last_changed: at, last_seen: at, price: point.price, removed: false, changes: [{ at, price: point.price }] });
+          continue;
+        }
+        if (record.removed || record.price !== point.price) {
+          record.changes.push({ at, price: point.price });
+          record.last_changed = at;
+          record.price = point.price;
+          record.removed = false;
+        }
+        record.last_seen = at;
+      }
+      for (const [key, record] of records) {
+        if (points.has(key) || record.removed) continue;
+        record.removed = true;
+        record.last_changed = at;
+        record.changes.push({ at, price: null });
+      }
+      versions.push({ source, at, commit: commit ?? null, prices: points.size });
+    },
+
+    /** @returns {{ generated_at: string, versions: any[], entries: any[] }} */
+    result() {
+      const entries = [];
+      for (const records of sources.values()) entries.push(...records.values());
+      entries.sort((a, b) => {
+        const ka = `${a.source}|${a.tld}|${a.tier}|${a.operation}|${a.currency}`;
+        const kb = `${b.source}|${b.tld}|${b.tier}|${b.operation}|${b.currency}`;
+        return ka < kb ? -1 : ka > kb ? 1 : 0;
+      });
+      return { generated_at: new Date().toISOString(), versions, entries };
+    },
+  };
+}
+
+function versionDate(snapshot, commitDate) {
+  // Prefer when the data was generated; fall back to when it was committed.
+  const generated = Array.isArray(snapshot) ? null : Date.parse(snapshot?.meta?.generated_at);
+  return new Date(Number.isFinite(generated) ? generated : Date.parse(commitDate)).toISOString();
+}
+
+/**
+ * Walk the git history of the price snapshots and consolidate every version.
+ *
+ * @param {string} repoDir
+ * @param {Object} [options]
+ * @param {string} [options.pathspec]
+ * @param {string} [options.since]
+ * @param {(entry: { level: string, message: string }) => void} [options.logger]
+ */
+export async function backfillPriceHistory(repoDir, options = {}) {
+  const logger = options.logger || (() => {});
+  const consolidator = createHistoryConsolidator();
+  const lastDate = new Map();
+  for (const { commit, date, files } of await listSnapshotCommits(repoDir, options)) {
+    for (const file of files) {
+      const text = await readFileAtCommit(repoDir, commit, file);
+      if (text === null) continue;
+      let snapshot;
+      try {
+        snapshot = JSON.parse(text);
+      } catch (err) {
+        logger({ level: 'warn', message: `Skipping ${file} at ${commit.slice(0, 7)}: ${err.message}` });
+        continue;
+      }
+      const source = sourceName(file);
+      // Keep each source's timeline monotonic even if generated_at went backwards.
+      let at = versionDate(snapshot, date);
+      if (lastDate.has(source) && at < lastDate.get(source)) at = lastDate.get(source);
+      lastDate.set(source, at);
+      consolidator.add(source, at, snapshot, commit);
+      logger({ level: 'info', message: `${commit.slice(0, 7)} ${file}` });
+    }
+  }
+  return consolidator.result();
+}
+
+const HISTORY_CSV_COLUMNS = ['source', 'tld', 'tier', 'operation', 'currency', 'price', 'first_seen', 'last_changed', 'last_seen', 'removed', 'change_count'];
+
+/** One CSV row per tracked price with its first-seen and last-changed dates. */
+export function historyDatasetToCsv(dataset) {
+  const rows = dataset.entries.map((entry) => HISTORY_CSV_COLUMNS
+    .map((col) => escapeCsvField(col === 'change_count' ? entry.changes.length : entry[col]))
+    .join(','));
+  return [HISTORY_CSV_COLUMNS.join(','), ...rows].join('\n');
+}
@@ -2,29 +2,185 @@
 import 'dotenv/config';
 import { promises as fs } from 'node:fs';
 import path from 'node:path';
-import { getRegistrarGenerator, listRegistrarIds, generateUnifiedList, generateCheapestOpRows, rowsToCsv, generateCatalogRows, catalogRowsToCsv } from './generators/index.js';
+import { getRegistrarGenerator, listRegistrarIds, generateUnifiedList, generateCheapestOpRows, rowsToCsv, generateCatalogRows, catalogRowsToCsv, resolveSelectionStrategy, normalizeProviderRules, generateComparisonMatrix, comparisonMatrixToCsv } from './generators/index.js';
 import exchangeRatesGenerator from './generators/exchange-rates.js';
+import { runBackfillCommand } from './commands/backfill.js';
+import { runDiffCommand } from './commands/diff.js';
+import { runForecastCommand } from './commands/forecast.js';
+import { runHistoryCommand } from './commands/history.js';
+import { runQuoteCommand } from './commands/quote.js';
+import { runServeCommand } from './commands/serve.js';
+import { runVerifyCommand } from './commands/verify.js';
+import { checkSnapshotSafety, DEFAULT_GUARD_THRESHOLDS, formatGuardViolations } from './guard.js';
+import { applyPricingRules, validatePricingRules } from './pricing.js';
+import { loadConfig, OUTPUT_FORMATS, validateConfig } from './config.js';
+import { loadPlugins } from './plugins.js';
+import { buildManifest, describeFile, describeFileOnDisk, readManifest, readPackageInfo, writeManifest } from './manifest.js';
+import { formatRunSummary, runGenerators } from './runner.js';
+import { loadSnapshots, readSnapshot, snapshotPath, withDefaultCurrency } from './snapshots.js';
+import { recordHistory } from './history.js';
+import { setHttpCache } from './http.js';
 
 function printHelp() {
-  console.log(`Usage: npx registrar-pricelist [options]\n\n` +
+  console.log(`Usage: npx registrar-pricelist [command] [options]\n\n` +
+    `Commands:\n` +
+    `  diff <old> <new>      Report changes between two price snapshots\n` +
+    `  quote <domain...>     Price domains from the unified list (see quote --help)\n` +
+    `  forecast <inventory>  Renewal spend forecast for a domain inventory CSV\n` +
+    `  history <tld>         Price history of a TLD, or the prices in effect on a date\n` +
+    `  backfill              Build a price history dataset from the git log of data/\n` +
+    `  serve                 Read-only HTTP JSON API over the outputs in --outDir\n` +
+    `  verify                Check the files in --outDir against its manifest.json\n` +
+    `  unify                 Rebuild unified outputs from snapshots in --outDir (same as --from-snapshots)\n\n` +
     `Options:\n` +
+    `  --config=<file>       Config file to use (default: registrar-pricelist.config.{json,js} in the cwd)\n` +
+    `  --no-config           Ignore any config file in the cwd\n` +
+    `  --plugin=<path|pkg>   Load extra registrar generators from a module (repeatable)\n` +
     `  --registrars=<list>   Comma separated registrar ids (default: all)\n` +
     `  --outDir=<path>       Directory where JSON files will be written (default: ./data)\n` +
     `  --unified             Also write combined TLD unified list\n` +
     `  --unifiedOut=<file>   Filename for unified list (default: unified-prices.json)\n` +
+    `  --from-snapshots      Build unified outputs from the JSON files in --outDir without fetching\n` +
+    `  --matrix              Also write the provider comparison matrix (JSON and CSV)\n` +
+    `  --outputs=<list>      Outputs to write instead of --unified/--matrix: ${OUTPUT_FORMATS.join(', ')}\n` +
+    `  --pricingRules=<file> JSON retail pricing rules applied to the unified catalog\n` +
+    `  --providerRules=<file> JSON pin/block/prefer rules for picking unified winners\n` +
+    `  --currency=<code>     Comparison currency for unified outputs (default: USD)\n` +
+    `  --localCurrencies=<list> Extra currencies for the unified CSVs and catalog, e.g. EUR,GBP,NGN\n` +
+    `  --currencyPrecision=<list> Decimals per local currency, e.g. NGN=0,INR=0 (default: 2)\n` +
+    `  --multiYear           Include multi-year prices in the unified list and catalog\n` +
+    `  --promos              Let currently-valid promo prices compete in unified outputs\n` +
+    `  --membership=<list>   Membership tier per provider, e.g. openprovider=supreme\n` +
+    `  --priceTiers=<list>   Price map per provider, e.g. namecheap=sale-price,openprovider=member-price\n` +
+    `  --strategy=<spec>     Unified winner selection: create (default), renew, tco:<years>,\n` +
+    `                        weighted:create=<w>,renew=<w>\n` +
+    `  --concurrency=<n>     Registrar generators run at once (default: 4)\n` +
+    `  --continue-on-error   Keep going when a generator fails, using its last snapshot in --outDir\n` +
+    `                        (exit code 2 when any generator failed)\n` +
+    `  --cache               Cache downloads in .cache/http and revalidate them with conditional requests\n` +
+    `  --cacheDir=<path>     Same as --cache with another directory (or set REGISTRAR_HTTP_CACHE_DIR)\n` +
+    `  --no-cache            Ignore REGISTRAR_HTTP_CACHE_DIR and always download in full\n` +
+    `  --historyDir=<path>   Where each run's price changes are appended (default: <outDir>/history)\n` +
+    `  --no-history          Do not record this run in the price history\n` +
+    `  --force               Write outputs even if the safety guard trips\n` +
+    `  --maxTldDrop=<pct>    Guard: max allowed drop in TLD count (default: ${DEFAULT_GUARD_THRESHOLDS.maxTldDropPct})\n` +
+    `  --priceChangePct=<n>  Guard: price move counted as large (default: ${DEFAULT_GUARD_THRESHOLDS.priceChangePct})\n` +
+    `  --maxPriceChanges=<n> Guard: max allowed large price moves (default: ${DEFAULT_GUARD_THRESHOLDS.maxPriceChanges})\n` +
     `  --list                Print available registrar ids\n` +
     `  --verbose             Enable verbose logging\n` +
     `  -h, --help            Show this message\n`);
 }
 
-function parseArgs(argv) {
-  const args = { registrars: null, outDir: './data', unified: false, unifiedOut: 'unified-prices.json', verbose: false, list: false };
+function parseThreshold(raw) {
+  const value = Number(raw.split('=')[1]);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error(`Invalid guard threshold: ${raw}`);
+  }
+  return value;
+}
+
+// Parses `--flag=provider=value,provider=value` into { provider: value }.
+function parseProviderMap(raw) {
+  const out = {};
+  for (const pair of raw.slice(raw.indexOf('=') + 1).split(',')) {
+    const [provider, value] = pair.split('=').map((part) => (part || '').trim());
+    if (!provider || !value) throw new Error(`Invalid provider mapping "${pair}" in ${raw}`);
+    out[aliasMap[provider] || provider] = value;
+  }
+  return out;
+}
+
+// Parses `--currencyPrecision=NGN=0,INR=0` into { NGN: 0, INR: 0 }.
+function parsePrecisionMap(raw) {
+  const out = {};
+  for (const pair of raw.slice(raw.indexOf('=') + 1).split(',')) {
+    const [code, value] = pair.split('=').map((part) => (part || '').trim());
+    const decimals = Number(value);
+    if (!code || value === '' || !Number.isInteger(decimals)) throw new Error(`Invalid currency precision "${pair}" in ${raw}`);
+    out[code.toUpperCase()] = decimals;
+  }
+  return out;
+}
+
+function defaultArgs() {
+  return { config: null, noConfig: false, registrars: null, outDir: './data', unified: false, unifiedFormats: [...UNIFIED_FORMATS], unifiedOut: 'unified-prices.json', plugins: [], matrix: false, pricingRules: null, providerRules: null, currency: 'USD', localCurrencies: [], currencyPrecision: {}, multiYear: false, promos: false, membershipTiers: {}, priceTiers: {}, strategy: 'create', verbose: false, list: false, force: false, guard: {}, history: true, historyDir: null, cacheDir: null, concurrency: 4, continueOnError: false, generatorOptions: {} };
+}
+
+const UNIFIED_FORMATS = OUTPUT_FORMATS.filter((format) => format !== 'matrix');
+
+// Turns an `outputs` list (config or --outputs) into the unified/matrix switches.
+function applyOutputs(args, formats) {
+  const unknown = formats.filter((format) => !OUTPUT_FORMATS.includes(format));
+  if (unknown.length) throw new Error(`Unknown output format: ${unknown.join(', ')} (expected one of ${OUTPUT_FORMATS.join(', ')})`);
+  const unifiedFormats = UNIFIED_FORMATS.filter((format) => formats.includes(format));
+  args.unified = unifiedFormats.length > 0;
+  // --unified (or unify) on top of a matrix-only config still writes every unified output.
+  args.unifiedFormats = args.unified ? unifiedFormats : [...UNIFIED_FORMATS];
+  args.matrix = formats.includes('matrix');
+}
+
+/**
+ * Defaults for parseArgs taken from a loaded config file; flags given on the
+ * command line are parsed on top of these and win.
+ */
+function configToArgs(config) {
+  const args = defaultArgs();
+  const unified = config.unified || {};
+  if (config.registrars) args.registrars = Array.isArray(config.registrars) ? config.registrars.join(',') : config.registrars;
+  if (config.plugins) args.plugins = [...config.plugins];
+  if (config.outDir) args.outDir = config.outDir;
+  if (config.outputs) applyOutputs(args, config.outputs);
+  if (unified.out) args.unifiedOut = unified.out;
+  if (unified.currency) args.currency = unified.currency;
+  if (unified.localCurrencies) args.localCurrencies = [...unified.localCurrencies];
+  if (unified.currencyPrecision) args.currencyPrecision = { ...unified.currencyPrecision };
+  if (unified.multiYear !== undefined) args.multiYear = unified.multiYear;
+  if (unified.promos !== undefined) args.promos = unified.promos;
+  if (unified.membershipTiers) args.membershipTiers = { ...unified.membershipTiers };
+  if (unified.priceTiers) args.priceTiers = { ...unified.priceTiers };
+  if (unified.strategy) args.strategy = unified.strategy;
+  if (config.pricingRules) args.pricingRules = config.pricingRules;
+  if (config.providerRules) args.providerRules = config.providerRules;
+  if (config.guard) args.guard = { ...config.guard };
+  if (config.history !== undefined) args.history = config.history;
+  if (config.historyDir) args.historyDir = config.historyDir;
+  if (config.cache !== undefined) args.cacheDir = config.cache;
+  if (config.concurrency) args.concurrency = config.concurrency;
+  if (config.continueOnError !== undefined) args.continueOnError = config.continueOnError;
+  for (const [id, entry] of Object.entries(config.generators || {})) {
+    args.generatorOptions[id] = { ...(entry.options || {}) };
+  }
+  return args;
+}
+
+/**
+ * @param {string[]} argv CLI arguments without the node binary and script path
+ * @param {ReturnType<typeof defaultArgs>} [base] defaults, e.g. from configToArgs
+ */
+function parseArgs(argv, base = defaultArgs()) {
+  const args = base;
   let deprecatedMasterFlag = false;
-  for (const raw of argv.slice(2)) {
+  for (const raw of argv) {
     if (raw === '--help' || raw === '-h') {
       args.help = true;
       continue;
     }
+    if (raw.startsWith('--config=')) {
+      args.config = raw.slice('--config='.length);
+      continue;
+    }
+    if (raw === '--no-config') {
+      args.noConfig = true;
+      continue;
+    }
+    if (raw.startsWith('--plugin=')) {
+      args.plugins.push(raw.slice('--plugin='.length));
+      continue;
+    }
+    if (raw.startsWith('--outputs=')) {
+      applyOutputs(args, raw.split('=')[1].split(',').map((format) => format.trim()).filter(Boolean));
+      continue;
+    }
     if (raw === '--verbose' || raw === '-v') {
       args.verbose = true;
       continue;
@@ -45,10 +201,107 @@ function parseArgs(argv) {
       args.unified = true;
       continue;
     }
+    if (raw === '--from-snapshots') {
+      // Rebuilding from snapshots only makes sense for the unified outputs.
+      args.fromSnapshots = true;
+      args.unified = true;
+      continue;
+    }
     if (raw.startsWith('--unifiedOut=')) {
       args.unifiedOut = raw.split('=')[1];
       continue;
     }
+    if (raw.startsWith('--pricingRules=')) {
+      args.pricingRules = raw.split('=')[1];
+      continue;
+    }
+    if (raw.startsWith('--providerRules=')) {
+      args.providerRules = raw.split('=')[1];
+      continue;
+    }
+    if (raw === '--matrix') {
+      args.matrix = true;
+      continue;
+    }
+    if (raw.startsWith('--currency=')) {
+      args.currency = raw.split('=')[1];
+      continue;
+    }
+    if (raw.startsWith('--localCurrencies=')) {
+      args.localCurrencies = raw.split('=')[1].split(',').map((code) => code.trim()).filter(Boolean);
+      continue;
+    }
+    if (raw.startsWith('--currencyPrecision=')) {
+      args.currencyPrecision = parsePrecisionMap(raw);
+      continue;
+    }
+    if (raw === '--multiYear') {
+      args.multiYear = true;
+      continue;
+    }
+    if (raw === '--promos') {
+      args.promos = true;
+      continue;
+    }
+    if (raw.startsWith('--membership=')) {
+      args.membershipTiers = parseProviderMap(raw);
+      continue;
+    }
+    if (raw.startsWith('--priceTiers=')) {
+      args.priceTiers = parseProviderMap(raw);
+      continue;
+    }
+    if (raw.startsWith('--strategy=')) {
+      args.strategy = raw.slice('--strategy='.length);
+      continue;
+    }
+    if (raw === '--continue-on-error') {
+      args.continueOnError = true;
+      continue;
+    }
+    if (raw.startsWith('--concurrency=')) {
+      args.concurrency = Number(raw.split('=')[1]);
+      if (!Number.isInteger(args.concurrency) || args.concurrency < 1) {
+        throw new Error(`Invalid concurrency: ${raw.split('=')[1]}`);
+      }
+      continue;
+    }
+    if (raw === '--cache') {
+      args.cacheDir = '.cache/http';
+      continue;
+    }
+    if (raw.startsWith('--cacheDir=')) {
+      args.cacheDir = raw.split('=')[1];
+      continue;
+    }
+    if (raw === '--no-cache') {
+      args.cacheDir = false;
+      continue;
+    }
+    if (raw === '--no-history') {
+      args.history = false;
+      continue;
+    }
+    if (raw.startsWith('--historyDir=')) {
+      args.historyDir = raw.split('=')[1];
+      continue;
+    }
+    if (raw === '--force') {
+      args.force = true;
+      continue;
+    }
+    if (raw.startsWith('--maxTldDrop=')) {
+      args.guard.maxTldDropPct = parseThreshold(raw);
+      continue;
+    }
+    if (raw.startsWith('--priceChangePct=')) {
+      args.guard.priceChangePct = parseThreshold(raw);
+      continue;
+    }
+    if (raw.startsWith('--maxPriceChanges=')) {
+      args.guard.maxPriceChanges = parseThreshold(raw);
+      continue;
+    }
     // Backwards compatibility: deprecated flags
     if (raw === '--master') {
       args.unified = true;
@@ -69,16 +322,52 @@ const aliasMap = {
   openprrovider: 'openprovider',
 };
 
+const commands = {
+  diff: runDiffCommand,
+  unify: (argv) => runGenerate(['--from-snapshots', ...argv]),
+  quote: runQuoteCommand,
+  forecast: runForecastCommand,
+  history: runHistoryCommand,
+  backfill: runBackfillCommand,
+  serve: runServeCommand,
+  verify: runVerifyCommand,
+};
+
 async function run() {
-  const args = parseArgs(process.argv);
-  if (args.help) {
+  const [command, ...rest] = process.argv.slice(2);
+  if (command && Object.prototype.hasOwnProperty.call(commands, command)) {
+    await commands[command](rest);
+    return;
+  }
+  await runGenerate(process.argv.slice(2));
+}
+
+async function runGenerate(argv) {
+  const cliArgs = parseArgs(argv);
+  if (cliArgs.help) {
     printHelp();
     return;
   }
+  if (cliArgs.config && cliArgs.noConfig) throw new Error('--config and --no-config cannot be used together');
+
+  const loaded = cliArgs.noConfig ? null : await loadConfig({ file: cliArgs.config });
+  // Parse again on top of the config so explicit flags override it.
+  const args = loaded ? parseArgs(argv, configToArgs(loaded.config)) : cliArgs;
+  // Plugins go first: the config may select or configure their generators.
+  const plugins = await loadPlugins(args.plugins);
+  if (loaded) {
+    validateConfig(loaded.config, {
+      generatorIds: [exchangeRatesGenerator.id, ...listRegistrarIds(), ...Object.keys(aliasMap)],
+      source: `config ${path.relative(process.cwd(), loaded.path)}`,
+    });
+    args.config = loaded.path;
+  }
   if (args.list) {
     console.log(listRegistrarIds().join('\n'));
     return;
   }
+  if (loaded) console.log(`Using config ${path.relative(process.cwd(), loaded.path)}`);
+  for (const plugin of plugins) console.log(`Loaded plugin ${plugin.spec} (${plugin.ids.join(', ')})`);
 
   const outDir = path.resolve(process.cwd(), args.outDir || './data');
   const selectedIds = args.registrars
@@ -100,12 +389,23 @@ async function run() {
     process.exit(1);
   }
 
+  // Fail on a bad --strategy or rules file before spending time on network fetches.
+  if (args.unified) resolveSelectionStrategy(args.strategy);
+  const pricingRules = args.pricingRules ? await loadRules(args.pricingRules, 'pricing', validatePricingRules) : null;
+  const providerRules = args.providerRules ? await loadRules(args.providerRules, 'provider', normalizeProviderRules) : null;
+
   const verboseLogger = args.verbose
     ? (entry) => {
         const level = entry.level || 'info';
         console.log(`[${level}] ${entry.message}`);
       }
-    : () => {};
+    // Falling back to a cached copy is worth knowing about even when quiet.
+    : (entry) => {
+        if (entry.cache === 'stale') console.warn(`[warn] ${entry.message}`);
+      };
+
+  if (args.cacheDir) setHttpCache({ dir: path.resolve(process.cwd(), args.cacheDir) });
+  else if (args.cacheDir === false) setHttpCache(false);
 
   await fs.mkdir(outDir, { recursive: true });
 
@@ -113,54 +413,260 @@ async function run() {
     console.warn('[deprecation] --master/--masterOut are deprecated. Use --unified/--unifiedOut instead.');
   }
 
-  // Always generate exchange rates first
-  console.log(`Generating ${exchangeRatesGenerator.label}...`);
-  const exchangeRates = await exchangeRatesGenerator.generate({ env: process.env, logger: verboseLogger });
-  const exchangeOutPath = path.join(outDir, exchangeRatesGenerator.defaultOutput || `${exchangeRatesGenerator.id}.json`);
-  await fs.writeFile(exchangeOutPath, JSON.stringify(exchangeRates, null, 2));
-  console.log(`  ✔ Saved ${exchangeRatesGenerator.label} to ${path.relative(process.cwd(), exchangeOutPath)}`);
+  /** @type {Array<{ path: string, content: string, label: string, snapshot?: any }>} */
+  const outputs = [];
+  const queueOutput = (outPath, content, label, snapshot) => {
+    outputs.push({ path: outPath, content, label, snapshot });
+  };
 
-  const resultsById = {};
+  let exchangeRates;
+  let resultsById = {};
+  let fresh = new Set();
+  /** @type {import('./runner.js').GeneratorRun[]} */
+  const runs = [];
+  /** @type {Record<string, any[]>} generator id -> upstream fetches */
+  const fetchesById = {};
 
-  for (const generator of generators) {
-    console.log(`Generating ${generator.label} price list...`);
-    const result = await generator.generate({ env: process.env, logger: verboseLogger });
-    const outPath = path.join(outDir, generator.defaultOutput || `${generator.id}-prices.json`);
-    await fs.writeFile(outPath, JSON.stringify(result, null, 2));
-    console.log(`  ✔ Saved ${generator.label} prices to ${path.relative(process.cwd(), outPath)}`);
-    resultsById[generator.id] = result;
+  if (args.fromSnapshots) {
+    console.log(`Loading snapshots from ${path.relative(process.cwd(), outDir) || '.'} (no network access)...`);
+    // Without an explicit --registrars list, use whichever snapshots exist.
+    ({ exchangeRates, resultsById } = await loadSnapshots(outDir, generators, {
+      strict: Boolean(args.registrars),
+      onSkip: (message) => console.warn(`  – ${message}`),
+    }));
+  } else {
+    // Each generator gets its own logger so its upstream fetches land in the manifest.
+    const context = (generator) => ({
+      env: process.env,
+      logger: (entry) => {
+        if (entry.fetch) fetchesById[generator.id] = [...(fetchesById[generator.id] || []), entry.fetch];
+        verboseLogger(entry);
+      },
+      options: { ...args.generatorOptions[generator.id], exchangeRates },
+    });
+    const runOptions = {
+      context,
+      concurrency: args.concurrency,
+      continueOnError: args.continueOnError,
+      // The snapshot already in --outDir is the last one that passed the guard.
+      fallback: async (generator) => withDefaultCurrency(await readSnapshot(snapshotPath(outDir, generator), generator.label), generator),
+      onDone: (run) => {
+        if (run.status === 'ok') console.log(`  ✔ ${run.label} done`);
+        else console.warn(`  ✖ ${run.label} failed: ${run.error}${run.status === 'fallback' ? ' (using last snapshot)' : ''}`);
+      },
+    };
+
+    // Exchange rates come first: NIRA converts prices with them.
+    console.log(`Generating ${exchangeRatesGenerator.label}...`);
+    const rates = await runGenerators([exchangeRatesGenerator], runOptions);
+    runs.push(...rates.runs);
+    exchangeRates = rates.resultsById[exchangeRatesGenerator.id];
+    if (rates.fresh.has(exchangeRatesGenerator.id)) {
+      const exchangeOutPath = snapshotPath(outDir, exchangeRatesGenerator);
+      queueOutput(exchangeOutPath, JSON.stringify(exchangeRates, null, 2), exchangeRatesGenerator.label);
+    }
+
+    if (exchangeRates) {
+      console.log(`Generating ${generators.map((g) => g.label).join(', ')} price lists (concurrency ${args.concurrency})...`);
+      const registrars = await runGenerators(generators, runOptions);
+      runs.push(...registrars.runs);
+      resultsById = registrars.resultsById;
+      // Fallback results are already on disk; only fresh ones are written and recorded.
+      fresh = registrars.fresh;
+      for (const generator of generators) {
+        if (!fresh.has(generator.id)) continue;
+        const result = resultsById[generator.id];
+        queueOutput(snapshotPath(outDir, generator), JSON.stringify(result, null, 2), `${generator.label} prices`, result);
+      }
+    }
+
+    const failed = runs.filter((run) => run.status !== 'ok');
+    if (failed.length && (!args.continueOnError || !exchangeRates || !Object.keys(resultsById).length)) {
+      console.log(`\n${formatRunSummary(runs)}`);
+      throw new Error(`${failed.length} generator${failed.length === 1 ? '' : 's'} failed; nothing was written.${args.continueOnError ? '' : ' Re-run with --continue-on-error to keep going.'}`);
+    }
   }
 
+  const unifiedOptions = { comparisonCurrency: args.currency, exchangeRates, localCurrencies: args.localCurrencies, currencyPrecision: args.currencyPrecision, multiYear: args.multiYear, promos: args.promos, membershipTiers: args.membershipTiers, priceTiers: args.priceTiers, providerRules };
+
   if (args.unified) {
-    console.log('Building unified TLD list...');
-    const unified = generateUnifiedList(resultsById, { providers: normalizedIds });
-    const unifiedPath = path.join(outDir, args.unifiedOut || 'unified-prices.json');
-    await fs.writeFile(unifiedPath, JSON.stringify(unified, null, 2));
-    console.log(`  ✔ Saved unified list to ${path.relative(process.cwd(), unifiedPath)}`);
-
-    console.log('Building unified CSVs (create, renew, transfer)...');
-    const createRows = generateCheapestOpRows(resultsById, 'create', normalizedIds);
-    const renewRows = generateCheapestOpRows(resultsById, 'renew', normalizedIds);
-    const transferRows = generateCheapestOpRows(resultsById, 'transfer', normalizedIds);
-    const createCsv = rowsToCsv(createRows);
-    const renewCsv = rowsToCsv(renewRows);
-    const transferCsv = rowsToCsv(transferRows);
-    const createPath = path.join(outDir, 'unified-create-prices.csv');
-    const renewPath = path.join(outDir, 'unified-renew-prices.csv');
-    const transferPath = path.join(outDir, 'unified-transfer-prices.csv');
-    await fs.writeFile(createPath, createCsv);
-    await fs.writeFile(renewPath, renewCsv);
-    await fs.writeFile(transferPath, transferCsv);
-    console.log(`  ✔ Saved unified create CSV to ${path.relative(process.cwd(), createPath)}`);
-    console.log(`  ✔ Saved unified renew CSV to ${path.relative(process.cwd(), renewPath)}`);
-    console.log(`  ✔ Saved unified transfer CSV to ${path.relative(process.cwd(), transferPath)}`);
-
-    console.log('Building unified catalog CSV (price-quotes format)...');
-    const catalogRows = generateCatalogRows(resultsById, normalizedIds);
-    const catalogCsv = catalogRowsToCsv(catalogRows);
-    const catalogPath = path.join(outDir, 'unified-catalog.csv');
-    await fs.writeFile(catalogPath, catalogCsv);
-    console.log(`  ✔ Saved unified catalog CSV to ${path.relative(process.cwd(), catalogPath)}`);
+    if (args.unifiedFormats.includes('unified-json')) {
+      console.log('Building unified TLD list...');
+      const unified = generateUnifiedList(resultsById, { ...unifiedOptions, providers: normalizedIds, strategy: args.strategy });
+      const unifiedPath = path.join(outDir, args.unifiedOut || 'unified-prices.json');
+      queueOutput(unifiedPath, JSON.stringify(unified, null, 2), 'unified list', unified);
+    }
+
+    if (args.unifiedFormats.includes('unified-csv')) {
+      console.log('Building unified CSVs (create, renew, transfer)...');
+      for (const op of ['create', 'renew', 'transfer']) {
+        const rows = generateCheapestOpRows(resultsById, op, normalizedIds, unifiedOptions);
+        queueOutput(path.join(outDir, `unified-${op}-prices.csv`), rowsToCsv(rows), `unified ${op} CSV`);
+      }
+    }
+
+    if (args.unifiedFormats.includes('catalog')) {
+      console.log('Building unified catalog CSV (price-quotes format)...');
+      let catalogRows = generateCatalogRows(resultsById, normalizedIds, unifiedOptions);
+      if (pricingRules) {
+        console.log('Applying retail pricing rules to catalog...');
+        const capped = [];
+        catalogRows = applyPricingRules(catalogRows, pricingRules, { onCapped: (row) => capped.push(row) });
+        if (capped.length) console.warn(formatCappedPrices(capped));
+      }
+      queueOutput(path.join(outDir, 'unified-catalog.csv'), catalogRowsToCsv(catalogRows), 'unified catalog CSV');
+    }
+  }
+
+  if (args.matrix) {
+    console.log('Building provider comparison matrix...');
+    const matrix = generateComparisonMatrix(resultsById, { ...unifiedOptions, providers: normalizedIds });
+    queueOutput(path.join(outDir, 'comparison-matrix.json'), JSON.stringify(matrix, null, 2), 'comparison matrix');
+    queueOutput(path.join(outDir, 'comparison-matrix.csv'), comparisonMatrixToCsv(matrix), 'comparison matrix CSV');
+  }
+
+  if (args.force) {
+    console.warn('[guard] --force given: skipping safety checks against previous snapshots.');
+  } else {
+    await guardOutputs(outputs, args.guard);
+  }
+
+  for (const output of outputs) {
+    await fs.writeFile(output.path, output.content);
+    console.log(`  ✔ Saved ${output.label} to ${path.relative(process.cwd(), output.path)}`);
+  }
+
+  // Snapshots loaded from disk were recorded when they were generated.
+  if (args.history && !args.fromSnapshots) {
+    const historyDir = path.resolve(process.cwd(), args.historyDir || path.join(outDir, 'history'));
+    for (const [id, result] of Object.entries(resultsById)) {
+      if (!fresh.has(id)) continue;
+      const { changes } = await recordHistory(historyDir, id, result);
+      console.log(`  ✔ Recorded ${changes} price changes for ${id} in ${path.relative(process.cwd(), historyDir)}`);
+    }
+  }
+
+  const manifestPath = await writeRunManifest(outDir, { args, outputs, runs, resultsById, fetchesById, generators: [exchangeRatesGenerator, ...generators] });
+  console.log(`  ✔ Saved run manifest to ${path.relative(process.cwd(), manifestPath)}`);
+
+  if (runs.length) {
+    console.log(`\n${formatRunSummary(runs)}`);
+    if (runs.some((run) => run.status !== 'ok')) process.exitCode = 2;
+  }
+}
+
+/**
+ * Describe this run in <outDir>/manifest.json, merged into the previous
+ * manifest so files this run did not touch keep their entries.
+ */
+async function writeRunManifest(outDir, { args, outputs, runs, resultsById, fetchesById, generators }) {
+  const rel = (file) => path.relative(outDir, file);
+  const files = outputs.map((output) => describeFile(rel(output.path), output.content));
+  const outputFor = (generator) => snapshotPath(outDir, generator);
+  const generatorEntries = [];
+  for (const run of runs) {
+    const generator = generators.find((g) => g.id === run.id);
+    const result = resultsById[run.id];
+    generatorEntries.push({
+      id: run.id,
+      label: run.label,
+      status: run.status,
+      error: run.error,
+      duration_ms: run.duration_ms,
+      source: result?.meta?.endpoint || result?.meta?.source || null,
+      output: rel(outputFor(generator)),
+      snapshot_generated_at: run.status === 'fallback' ? run.fallback_generated_at : result?.meta?.generated_at ?? null,
+      fetches: fetchesById[run.id] || [],
+    });
+    // A fallback snapshot was not rewritten, but this run's outputs depend on it.
+    if (run.status === 'fallback' && !files.some((f) => f.path === rel(outputFor(generator)))) {
+      const onDisk = await describeFileOnDisk(outDir, rel(outputFor(generator)));
+      if (onDisk) files.push(onDisk);
+    }
+  }
+
+  const ratesRun = runs.find((run) => run.id === exchangeRatesGenerator.id);
+  const ratesFile = await describeFileOnDisk(outDir, rel(outputFor(exchangeRatesGenerator)));
+  const exchangeRates = ratesFile
+    ? { ...ratesFile, source: ratesRun ? (ratesRun.status === 'ok' ? 'generated' : 'fallback') : 'snapshot' }
+    : null;
+
+  // Generator options can hold credentials, so they stay out of the manifest.
+  const options = Object.fromEntries(Object.entries(args).filter(([key]) => !key.startsWith('_') && !['help', 'list', 'noConfig', 'generatorOptions'].includes(key)));
+  const manifest = buildManifest(await readManifest(outDir), {
+    generatedAt: new Date().toISOString(),
+    package: await readPackageInfo(),
+    options,
+    exchangeRates,
+    generators: generatorEntries,
+    files,
+  });
+  return writeManifest(outDir, manifest);
+}
+
+// Reads a JSON rules file (or takes rules inlined in the config) and returns them once `validate` accepts them.
+async function loadRules(source, kind, validate) {
+  if (typeof source !== 'string') {
+    try {
+      validate(source);
+    } catch (err) {
+      throw new Error(`Invalid ${kind} rules in config: ${err.message}`);
+    }
+    return source;
+  }
+  const resolved = path.resolve(process.cwd(), source);
+  let rules;
+  try {
+    rules = JSON.parse(await fs.readFile(resolved, 'utf8'));
+  } catch (err) {
+    throw new Error(`Failed to read ${kind} rules at ${resolved}: ${err.message}`);
+  }
+  try {
+    validate(rules);
+  } catch (err) {
+    throw new Error(`Invalid ${kind} rules in ${resolved}: ${err.message}`);
+  }
+  return rules;
+}
+
+// Warn about sell prices that a maxPrice held under the margin floor or cost.
+function formatCappedPrices(capped, { maxDetails = 10 } = {}) {
+  const belowCost = capped.filter((row) => row.belowCost).length;
+  const lines = [`[pricing] maxPrice held ${capped.length} catalog prices under their margin floor${belowCost ? ` (${belowCost} under cost)` : ''}:`];
+  for (const row of capped.slice(0, maxDetails)) {
+    lines.push(`  ${row.tld} ${row.variant}: cost ${row.cost} ${row.currency}, sell ${row.sell}${row.belowCost ? ' (below cost)' : ''}`);
+  }
+  if (capped.length > maxDetails) lines.push(`  … and ${capped.length - maxDetails} more`);
+  return lines.join('\n');
+}
+
+async function readPreviousSnapshot(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw new Error(`Failed to read previous snapshot at ${filePath}: ${err.message}`);
+  }
+}
+
+/**
+ * Compare every pending snapshot with the copy on disk and abort before
+ * anything is written when one looks like a broken regeneration.
+ */
+async function guardOutputs(outputs, thresholds) {
+  const failures = [];
+  for (const output of outputs) {
+    if (!output.snapshot) continue;
+    const previous = await readPreviousSnapshot(output.path);
+    if (!previous) continue;
+    const { ok, violations } = checkSnapshotSafety(previous, output.snapshot, thresholds);
+    if (!ok) failures.push(formatGuardViolations(path.relative(process.cwd(), output.path), violations));
+  }
+  if (failures.length) {
+    console.error(`[guard] Refusing to overwrite data:\n${failures.join('\n')}`);
+    const err = new Error('Safety guard tripped; no files were written. Re-run with --force to override.');
+    err.code = 'EGUARD';
+    throw err;
   }
 }
 
@@ -0,0 +1,66 @@
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { BACKFILL_PATHSPEC, backfillPriceHistory, historyDatasetToCsv } from '../backfill.js';
+
+export function printBackfillHelp() {
+  console.log(`Usage: npx registrar-pricelist backfill [options]\n\n` +
+    `Rebuilds price history from every committed version of ${BACKFILL_PATHSPEC}\n` +
+    `and writes price-history.json and price-history.csv.\n\n` +
+    `Options:\n` +
+    `  --repo=<path>         Git repository to read (default: .)\n` +
+    `  --since=<date>        Only commits after this date (git log --since)\n` +
+    `  --outDir=<path>       Where the dataset is written (default: ./data)\n` +
+    `  --verbose             Log every snapshot version read\n` +
+    `  -h, --help            Show this message\n`);
+}
+
+export function parseBackfillArgs(argv) {
+  const args = { repo: '.', since: null, outDir: './data', verbose: false };
+  for (const raw of argv) {
+    if (raw === '--help' || raw === '-h') {
+      args.help = true;
+      continue;
+    }
+    if (raw === '--verbose' || raw === '-v') {
+      args.verbose = true;
+      continue;
+    }
+    if (raw.startsWith('--repo=')) {
+      args.repo = raw.split('=')[1];
+      continue;
+    }
+    if (raw.startsWith('--since=')) {
+      args.since = raw.split('=')[1];
+      continue;
+    }
+    if (raw.startsWith('--outDir=')) {
+      args.outDir = raw.split('=')[1];
+      continue;
+    }
+  }
+  return args;
+}
+
+export async function runBackfillCommand(argv) {
+  const args = parseBackfillArgs(argv);
+  if (args.help) {
+    printBackfillHelp();
+    return;
+  }
+  const repoDir = path.resolve(process.cwd(), args.repo);
+  const logger = (entry) => {
+    if (entry.level === 'warn') console.warn(`[warn] ${entry.message}`);
+    else if (args.verbose) console.log(`[${entry.level}] ${entry.message}`);
+  };
+  console.log(`Reading snapshot history from ${repoDir}...`);
+  const dataset = await backfillPriceHistory(repoDir, { since: args.since || undefined, logger });
+  console.log(`  ${dataset.versions.length} snapshot versions, ${dataset.entries.length} tracked prices`);
+
+  const outDir = path.resolve(process.cwd(), args.outDir);
+  await fs.mkdir(outDir, { recursive: true });
+  const jsonPath = path.join(outDir, 'price-history.json');
+  const csvPath = path.join(outDir, 'price-history.csv');
+  await fs.writeFile(jsonPath, JSON.stringify(dataset, null, 2));
+  await fs.writeFile(csvPath, historyDatasetToCsv(dataset));
+  console.log(`  ✔ Saved price history to ${path.relative(process.cwd(), jsonPath)} and ${path.relative(process.cwd(), csvPath)}`);
+}
@@ -0,0 +1,80 @@
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { diffPriceSnapshots, diffReportToCsv, diffReportToMarkdown } from '../diff.js';
+
+const FORMATS = ['markdown', 'json', 'csv'];
+
+export function printDiffHelp() {
+  console.log(`Usage: npx registrar-pricelist diff <old> <new> [options]\n\n` +
+    `Compares two generator outputs (e.g. openprovider-prices.json) or two unified lists.\n\n` +
+    `Options:\n` +
+    `  --format=<type>       markdown, json or csv (default: markdown)\n` +
+    `  --out=<file>          Write the report to a file instead of stdout\n` +
+    `  -h, --help            Show this message\n`);
+}
+
+export function parseDiffArgs(argv) {
+  const args = { files: [], format: 'markdown', out: null };
+  for (const raw of argv) {
+    if (raw === '--help' || raw === '-h') {
+      args.help = true;
+      continue;
+    }
+    if (raw.startsWith('--format=')) {
+      args.format = raw.split('=')[1];
+      continue;
+    }
+    if (raw.startsWith('--out=')) {
+      args.out = raw.split('=')[1];
+      continue;
+    }
+    if (!raw.startsWith('--')) args.files.push(raw);
+  }
+  return args;
+}
+
+async function readSnapshot(file) {
+  const resolved = path.resolve(process.cwd(), file);
+  try {
+    return JSON.parse(await fs.readFile(resolved, 'utf8'));
+  } catch (err) {
+    const e = new Error(`Failed to read snapshot at ${resolved}: ${err.message}`);
+    e.cause = err;
+    throw e;
+  }
+}
+
+export async function runDiffCommand(argv) {
+  const args = parseDiffArgs(argv);
+  if (args.help) {
+    printDiffHelp();
+    return;
+  }
+  if (args.files.length !== 2) {
+    printDiffHelp();
+    throw new Error('diff requires exactly two snapshot files: <old> <new>');
+  }
+  if (!FORMATS.includes(args.format)) {
+    throw new Error(`Unknown diff format: ${args.format} (expected one of ${FORMATS.join(', ')})`);
+  }
+
+  const [oldFile, newFile] = args.files;
+  const report = diffPriceSnapshots(await readSnapshot(oldFile), await readSnapshot(newFile));
+  let output;
+  if (args.format === 'json') {
+    output = JSON.stringify(report, null, 2);
+  } else if (args.format === 'csv') {
+    output = diffReportToCsv(report);
+  } else {
+    output = diffReportToMarkdown(report, { title: `Price changes: ${path.basename(newFile)}` });
+  }
+
+  if (args.out) {
+    const outPath = path.resolve(process.cwd(), args.out);
+    await fs.mkdir(path.dirname(outPath), { recursive: true });
+    await fs.writeFile(outPath, output);
+    console.log(`  ✔ Saved ${args.format} diff to ${path.relative(process.cwd(), outPath)}`);
+    return;
+  }
+  process.stdout.write(output.endsWith('\n') ? output : `${output}\n`);
+}
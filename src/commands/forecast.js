@@ -0,0 +1,113 @@
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { forecastRenewals, forecastToCsv, forecastToMarkdown, parseInventoryCsv } from '../forecast.js';
+import { registrarGenerators } from '../generators/index.js';
+import { loadPlugins } from '../plugins.js';
+import { loadSnapshots } from '../snapshots.js';
+
+const FORMATS = ['markdown', 'json', 'csv'];
+
+export function printForecastHelp() {
+  console.log(`Usage: npx registrar-pricelist forecast <inventory.csv> [options]\n\n` +
+    `Projects renewal spend for a domain inventory (columns: domain, registrar, expires)\n` +
+    `using the registrar snapshots in --outDir.\n\n` +
+    `Options:\n` +
+    `  --years=<n>           Forecast horizon in years (default: 1)\n` +
+    `  --start=<date>        First day of the forecast (default: today)\n` +
+    `  --currency=<code>     Currency to report in (default: USD)\n` +
+    `  --outDir=<path>       Directory holding the snapshots (default: ./data)\n` +
+    `  --format=<type>       markdown, json or csv (monthly spend) (default: markdown)\n` +
+    `  --plugin=<path|pkg>   Load a registrar generator plugin so its snapshot is read too (repeatable)\n` +
+    `  --out=<file>          Write the report to a file instead of stdout\n` +
+    `  -h, --help            Show this message\n`);
+}
+
+export function parseForecastArgs(argv) {
+  const args = { files: [], years: 1, start: null, currency: 'USD', outDir: './data', format: 'markdown', out: null, plugins: [] };
+  for (const raw of argv) {
+    if (raw === '--help' || raw === '-h') {
+      args.help = true;
+      continue;
+    }
+    if (raw.startsWith('--years=')) {
+      args.years = Number(raw.split('=')[1]);
+      continue;
+    }
+    if (raw.startsWith('--start=')) {
+      args.start = raw.split('=')[1];
+      continue;
+    }
+    if (raw.startsWith('--currency=')) {
+      args.currency = raw.split('=')[1];
+      continue;
+    }
+    if (raw.startsWith('--plugin=')) {
+      args.plugins.push(raw.slice('--plugin='.length));
+      continue;
+    }
+    if (raw.startsWith('--outDir=')) {
+      args.outDir = raw.split('=')[1];
+      continue;
+    }
+    if (raw.startsWith('--format=')) {
+      args.format = raw.split('=')[1];
+      continue;
+    }
+    if (raw.startsWith('--out=')) {
+      args.out = raw.split('=')[1];
+      continue;
+    }
+    if (!raw.startsWith('--')) args.files.push(raw);
+  }
+  return args;
+}
+
+export async function runForecastCommand(argv) {
+  const args = parseForecastArgs(argv);
+  if (args.help) {
+    printForecastHelp();
+    return;
+  }
+  await loadPlugins(args.plugins);
+  if (args.files.length !== 1) {
+    printForecastHelp();
+    throw new Error('forecast requires exactly one inventory CSV file');
+  }
+  if (!FORMATS.includes(args.format)) {
+    throw new Error(`Unknown forecast format: ${args.format} (expected one of ${FORMATS.join(', ')})`);
+  }
+
+  const inventoryPath = path.resolve(process.cwd(), args.files[0]);
+  let inventory;
+  try {
+    inventory = parseInventoryCsv(await fs.readFile(inventoryPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Failed to read inventory at ${inventoryPath}: ${err.message}`);
+  }
+  const outDir = path.resolve(process.cwd(), args.outDir);
+  const { exchangeRates, resultsById } = await loadSnapshots(outDir, registrarGenerators);
+  const forecast = forecastRenewals(inventory, resultsById, {
+    years: args.years,
+    start: args.start ?? undefined,
+    comparisonCurrency: args.currency,
+    exchangeRates,
+  });
+
+  let output;
+  if (args.format === 'json') {
+    output = JSON.stringify(forecast, null, 2);
+  } else if (args.format === 'csv') {
+    output = forecastToCsv(forecast);
+  } else {
+    output = forecastToMarkdown(forecast);
+  }
+
+  if (args.out) {
+    const outPath = path.resolve(process.cwd(), args.out);
+    await fs.mkdir(path.dirname(outPath), { recursive: true });
+    await fs.writeFile(outPath, output);
+    console.log(`  ✔ Saved ${args.format} forecast to ${path.relative(process.cwd(), outPath)}`);
+    return;
+  }
+  process.stdout.write(output.endsWith('\n') ? output : `${output}\n`);
+}
@@ -0,0 +1,99 @@
+import path from 'node:path';
+import { escapeCsvField } from '../csv.js';
+import { priceAt, queryPriceHistory } from '../history.js';
+
+const FORMATS = ['table', 'json', 'csv'];
+
+export function printHistoryHelp() {
+  console.log(`Usage: npx registrar-pricelist history <tld> [options]\n\n` +
+    `Shows how a TLD's prices changed across recorded generation runs.\n\n` +
+    `Options:\n` +
+    `  --from=<date>         Start of the range (the price in effect then is included)\n` +
+    `  --to=<date>           End of the range\n` +
+    `  --at=<date>           Show the prices in effect on this date instead of a range\n` +
+    `  --provider=<id>       Only this registrar\n` +
+    `  --operation=<op>      Only this operation (create, renew, transfer, ...)\n` +
+    `  --tier=<name>         Only this price map (regular-price, member-price, ...)\n` +
+    `  --currency=<code>     Only prices recorded in this currency\n` +
+    `  --outDir=<path>       Data directory (default: ./data)\n` +
+    `  --historyDir=<path>   History directory (default: <outDir>/history)\n` +
+    `  --format=<type>       table, json or csv (default: table)\n` +
+    `  -h, --help            Show this message\n`);
+}
+
+export function parseHistoryArgs(argv) {
+  const args = { tlds: [], outDir: './data', historyDir: null, format: 'table', filters: {} };
+  const filterFlags = { '--from=': 'from', '--to=': 'to', '--at=': 'at', '--provider=': 'provider', '--operation=': 'operation', '--tier=': 'tier', '--currency=': 'currency' };
+  for (const raw of argv) {
+    if (raw === '--help' || raw === '-h') {
+      args.help = true;
+      continue;
+    }
+    const filter = Object.keys(filterFlags).find((flag) => raw.startsWith(flag));
+    if (filter) {
+      args.filters[filterFlags[filter]] = raw.slice(filter.length);
+      continue;
+    }
+    if (raw.startsWith('--outDir=')) {
+      args.outDir = raw.split('=')[1];
+      continue;
+    }
+    if (raw.startsWith('--historyDir=')) {
+      args.historyDir = raw.split('=')[1];
+      continue;
+    }
+    if (raw.startsWith('--format=')) {
+      args.format = raw.split('=')[1];
+      continue;
+    }
+    if (!raw.startsWith('--')) args.tlds.push(raw.replace(/^\.+/, '').toLowerCase());
+  }
+  if (args.filters.currency) args.filters.currency = args.filters.currency.toUpperCase();
+  return args;
+}
+
+function toRows(results, isSnapshot) {
+  if (isSnapshot) return results.map(({ provider, tier, operation, currency, price, since }) => ({ provider, tier, operation, currency, at: since, price }));
+  return results.flatMap(({ provider, tier, operation, currency, points }) => points.map(({ at, price }) => ({ provider, tier, operation, currency, at, price })));
+}
+
+function formatTable(rows) {
+  const header = ['Provider', 'Tier', 'Operation', 'Currency', 'Since', 'Price'];
+  const cells = rows.map((r) => [r.provider, r.tier, r.operation, r.currency, r.at.slice(0, 10), r.price === null ? 'removed' : String(r.price)]);
+  const widths = header.map((h, i) => Math.max(h.length, ...cells.map((c) => c[i].length)));
+  const line = (c) => c.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+  return [line(header), line(widths.map((w) => '-'.repeat(w))), ...cells.map(line)].join('\n');
+}
+
+export async function runHistoryCommand(argv) {
+  const args = parseHistoryArgs(argv);
+  if (args.help) {
+    printHistoryHelp();
+    return;
+  }
+  if (args.tlds.length !== 1) {
+    printHistoryHelp();
+    throw new Error('history requires exactly one TLD');
+  }
+  if (!FORMATS.includes(args.format)) {
+    throw new Error(`Unknown history format: ${args.format} (expected one of ${FORMATS.join(', ')})`);
+  }
+  const historyDir = path.resolve(process.cwd(), args.historyDir || path.join(args.outDir, 'history'));
+  const { at, ...filters } = args.filters;
+  const query = { tld: args.tlds[0], ...filters };
+  const results = at ? await priceAt(historyDir, { ...query, at }) : await queryPriceHistory(historyDir, query);
+
+  let output;
+  if (args.format === 'json') {
+    output = JSON.stringify(results, null, 2);
+  } else {
+    const rows = toRows(results, Boolean(at));
+    if (args.format === 'csv') {
+      const columns = ['provider', 'tier', 'operation', 'currency', 'at', 'price'];
+      output = [columns.join(','), ...rows.map((r) => columns.map((c) => escapeCsvField(r[c])).join(','))].join('\n');
+    } else {
+      output = rows.length ? formatTable(rows) : `No recorded prices for ${query.tld}.`;
+    }
+  }
+  process.stdout.write(output.endsWith('\n') ? output : `${output}\n`);
+}
@@ -0,0 +1,102 @@
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { parseDomainList, quoteDomains, quotesToCsv, quotesToTable } from '../quote.js';
+
+const FORMATS = ['table', 'json', 'csv'];
+
+export function printQuoteHelp() {
+  console.log(`Usage: npx registrar-pricelist quote <domain...> [options]\n\n` +
+    `Quotes domains against the unified list, matching the longest known TLD.\n\n` +
+    `Options:\n` +
+    `  --years=<n>           Registration length for the totals (default: 1)\n` +
+    `  --currency=<code>     Convert prices using exchange-rates.json\n` +
+    `  --file=<path>         Read domains from a file (one or more per line, # comments)\n` +
+    `  --outDir=<path>       Directory holding the snapshots (default: ./data)\n` +
+    `  --unified=<file>      Unified list to quote from (default: <outDir>/unified-prices.json)\n` +
+    `  --format=<type>       table, json or csv (default: table)\n` +
+    `  -h, --help            Show this message\n`);
+}
+
+export function parseQuoteArgs(argv) {
+  const args = { domains: [], years: 1, currency: null, file: null, outDir: './data', unified: null, format: 'table' };
+  for (const raw of argv) {
+    if (raw === '--help' || raw === '-h') {
+      args.help = true;
+      continue;
+    }
+    if (raw.startsWith('--years=')) {
+      args.years = Number(raw.split('=')[1]);
+      continue;
+    }
+    if (raw.startsWith('--currency=')) {
+      args.currency = raw.split('=')[1];
+      continue;
+    }
+    if (raw.startsWith('--file=')) {
+      args.file = raw.split('=')[1];
+      continue;
+    }
+    if (raw.startsWith('--outDir=')) {
+      args.outDir = raw.split('=')[1];
+      continue;
+    }
+    if (raw.startsWith('--unified=')) {
+      args.unified = raw.split('=')[1];
+      continue;
+    }
+    if (raw.startsWith('--format=')) {
+      args.format = raw.split('=')[1];
+      continue;
+    }
+    if (!raw.startsWith('--')) args.domains.push(raw);
+  }
+  return args;
+}
+
+async function readJson(file, label) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    const e = new Error(`Failed to read ${label} at ${file}: ${err.message}`);
+    e.cause = err;
+    throw e;
+  }
+}
+
+export async function runQuoteCommand(argv) {
+  const args = parseQuoteArgs(argv);
+  if (args.help) {
+    printQuoteHelp();
+    return;
+  }
+  if (!FORMATS.includes(args.format)) {
+    throw new Error(`Unknown quote format: ${args.format} (expected one of ${FORMATS.join(', ')})`);
+  }
+  const domains = [...args.domains];
+  if (args.file) {
+    const file = path.resolve(process.cwd(), args.file);
+    domains.push(...parseDomainList(await fs.readFile(file, 'utf8')));
+  }
+  if (!domains.length) {
+    printQuoteHelp();
+    throw new Error('quote requires at least one domain or --file');
+  }
+
+  const outDir = path.resolve(process.cwd(), args.outDir);
+  const unifiedPath = args.unified ? path.resolve(process.cwd(), args.unified) : path.join(outDir, 'unified-prices.json');
+  const unified = await readJson(unifiedPath, 'unified list');
+  // Rates are only needed when converting.
+  const exchangeRates = args.currency ? await readJson(path.join(outDir, 'exchange-rates.json'), 'exchange rates') : [];
+
+  const quotes = quoteDomains(domains, unified, { years: args.years, currency: args.currency, exchangeRates });
+  let output;
+  if (args.format === 'json') {
+    output = JSON.stringify(quotes, null, 2);
+  } else if (args.format === 'csv') {
+    output = quotesToCsv(quotes);
+  } else {
+    output = quotesToTable(quotes);
+  }
+  process.stdout.write(output.endsWith('\n') ? output : `${output}\n`);
+  if (quotes.some((q) => q.error)) process.exitCode = 1;
+}
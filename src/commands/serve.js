@@ -0,0 +1,94 @@
+import path from 'node:path';
+import { loadPlugins } from '../plugins.js';
+import { createPriceServer } from '../server.js';
+
+export function printServeHelp() {
+  console.log(`Usage: npx registrar-pricelist serve [options]\n\n` +
+    `Serves the generated outputs in --outDir as a read-only HTTP JSON API:\n` +
+    `  GET /tlds?provider=&suffix=&q=&operation=&maxPrice=&limit=&offset=\n` +
+    `  GET /tlds/<tld>              One TLD across all providers\n` +
+    `  GET /tlds/<tld>/cheapest     Cheapest provider per operation\n` +
+    `  GET /cheapest/<operation>    Cheapest provider of every TLD\n` +
+    `  GET /quote?domain=<name>&years=&currency=\n` +
+    `  GET /files, /files/<name>    Download the CSV and JSON outputs\n` +
+    `  GET /health\n\n` +
+    `Options:\n` +
+    `  --port=<n>            Port to listen on (default: 8787)\n` +
+    `  --host=<addr>         Address to bind (default: 127.0.0.1)\n` +
+    `  --outDir=<path>       Directory holding the outputs (default: ./data)\n` +
+    `  --unifiedOut=<file>   Unified list filename (default: unified-prices.json)\n` +
+    `  --no-watch            Do not reload when files in --outDir change\n` +
+    `  --plugin=<path|pkg>   Load a registrar generator plugin so its snapshot is read too (repeatable)\n` +
+    `  --verbose             Log reloads\n` +
+    `  -h, --help            Show this message\n`);
+}
+
+export function parseServeArgs(argv) {
+  const args = { port: 8787, host: '127.0.0.1', outDir: './data', unifiedOut: 'unified-prices.json', watch: true, verbose: false, plugins: [] };
+  for (const raw of argv) {
+    if (raw === '--help' || raw === '-h') {
+      args.help = true;
+      continue;
+    }
+    if (raw === '--no-watch') {
+      args.watch = false;
+      continue;
+    }
+    if (raw === '--verbose' || raw === '-v') {
+      args.verbose = true;
+      continue;
+    }
+    if (raw.startsWith('--port=')) {
+      args.port = Number(raw.split('=')[1]);
+      if (!Number.isInteger(args.port) || args.port < 0 || args.port > 65535) {
+        throw new Error(`Invalid port: ${raw.split('=')[1]}`);
+      }
+      continue;
+    }
+    if (raw.startsWith('--host=')) {
+      args.host = raw.split('=')[1];
+      continue;
+    }
+    if (raw.startsWith('--plugin=')) {
+      args.plugins.push(raw.slice('--plugin='.length));
+      continue;
+    }
+    if (raw.startsWith('--outDir=')) {
+      args.outDir = raw.split('=')[1];
+      continue;
+    }
+    if (raw.startsWith('--unifiedOut=')) {
+      args.unifiedOut = raw.split('=')[1];
+      continue;
+    }
+  }
+  return args;
+}
+
+export async function runServeCommand(argv) {
+  const args = parseServeArgs(argv);
+  if (args.help) {
+    printServeHelp();
+    return;
+  }
+  await loadPlugins(args.plugins);
+  const logger = (entry) => {
+    if (entry.level === 'info' && !args.verbose) return;
+    const log = entry.level === 'info' ? console.log : console.warn;
+    log(`[${entry.level}] ${entry.message}`);
+  };
+  const dataDir = path.resolve(process.cwd(), args.outDir);
+  const api = await createPriceServer({ dataDir, unifiedFile: args.unifiedOut, watch: args.watch, logger });
+  await new Promise((resolve, reject) => {
+    api.server.once('error', reject);
+    api.server.listen(args.port, args.host, resolve);
+  });
+  const { port } = api.server.address();
+  console.log(`Serving ${path.relative(process.cwd(), dataDir) || '.'} on http://${args.host}:${port}`);
+
+  const shutdown = () => {
+    api.close().then(() => process.exit(0), () => process.exit(1));
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
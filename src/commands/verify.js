@@ -0,0 +1,61 @@
+import path from 'node:path';
+import { MANIFEST_FILE, readManifest, verifyManifest } from '../manifest.js';
+
+const FORMATS = ['table', 'json'];
+
+export function printVerifyHelp() {
+  console.log(`Usage: npx registrar-pricelist verify [options]\n\n` +
+    `Checks that the files in --outDir still match the SHA-256 hashes in its ${MANIFEST_FILE}.\n` +
+    `Exits with code 1 when a file is missing or was modified.\n\n` +
+    `Options:\n` +
+    `  --outDir=<path>       Directory holding the outputs and manifest (default: ./data)\n` +
+    `  --format=<type>       table or json (default: table)\n` +
+    `  -h, --help            Show this message\n`);
+}
+
+export function parseVerifyArgs(argv) {
+  const args = { outDir: './data', format: 'table' };
+  for (const raw of argv) {
+    if (raw === '--help' || raw === '-h') {
+      args.help = true;
+      continue;
+    }
+    if (raw.startsWith('--outDir=')) {
+      args.outDir = raw.split('=')[1];
+      continue;
+    }
+    if (raw.startsWith('--format=')) {
+      args.format = raw.split('=')[1];
+      continue;
+    }
+  }
+  return args;
+}
+
+export async function runVerifyCommand(argv) {
+  const args = parseVerifyArgs(argv);
+  if (args.help) {
+    printVerifyHelp();
+    return;
+  }
+  if (!FORMATS.includes(args.format)) {
+    throw new Error(`Unknown verify format: ${args.format} (expected one of ${FORMATS.join(', ')})`);
+  }
+  const outDir = path.resolve(process.cwd(), args.outDir);
+  const manifest = await readManifest(outDir);
+  if (!manifest) throw new Error(`No ${MANIFEST_FILE} in ${outDir}; run the generator first`);
+  const results = await verifyManifest(outDir, manifest);
+  const problems = results.filter((r) => r.status !== 'ok');
+
+  if (args.format === 'json') {
+    console.log(JSON.stringify({ manifest_generated_at: manifest.generated_at, ok: problems.length === 0, files: results }, null, 2));
+  } else {
+    const width = Math.max(4, ...results.map((r) => r.path.length));
+    console.log(`${'File'.padEnd(width)}  Status`);
+    for (const r of results) console.log(`${r.path.padEnd(width)}  ${r.status}`);
+    console.log(problems.length
+      ? `\n${problems.length} of ${results.length} files do not match the manifest from ${manifest.generated_at}.`
+      : `\nAll ${results.length} files match the manifest from ${manifest.generated_at}.`);
+  }
+  if (problems.length) process.exitCode = 1;
+}
@@ -0,0 +1,247 @@
+/**
+ * Configuration file for CLI runs: `registrar-pricelist.config.json` or
+ * `registrar-pricelist.config.js` in the working directory, or any file
+ * passed with `--config=<file>`.
+ *
+ * The file declares what a run would otherwise spell out in flags and env
+ * vars: registrars, per-generator options, output directory and formats,
+ * unified options and rules. Relative paths in it are resolved against the
+ * directory of the config file, so a run behaves the same from any cwd.
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+export const CONFIG_FILES = ['registrar-pricelist.config.json', 'registrar-pricelist.config.js'];
+
+export const DEFAULT_CACHE_DIR = '.cache/http';
+
+export const OUTPUT_FORMATS = ['unified-json', 'unified-csv', 'catalog', 'matrix'];
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+function configError(message) {
+  const err = new Error(message);
+  err.code = 'ECONFIG';
+  return err;
+}
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isString = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Each check returns an error message, or null when the value is acceptable.
+const checks = {
+  boolean: (value) => (typeof value === 'boolean' ? null : 'expected true or false'),
+  path: (value) => (isString(value) ? null : 'expected a non-empty path'),
+  string: (value) => (isString(value) ? null : 'expected a non-empty string'),
+  currency: (value) => (typeof value === 'string' && CURRENCY_CODE.test(value) ? null : 'expected a 3-letter currency code such as "USD"'),
+  currencies: (value) => (Array.isArray(value) && value.every((code) => typeof code === 'string' && CURRENCY_CODE.test(code))
+    ? null
+    : 'expected an array of 3-letter currency codes'),
+  precision: (value) => (isPlainObject(value) && Object.entries(value).every(([code, decimals]) => CURRENCY_CODE.test(code) && Number.isInteger(decimals) && decimals >= 0)
+    ? null
+    : 'expected an object of currency code -> decimals, e.g. { "NGN": 0 }'),
+  providerMap: (value) => (isPlainObject(value) && Object.values(value).every(isString)
+    ? null
+    : 'expected an object of provider id -> name, e.g. { "openprovider": "supreme" }'),
+  positiveInteger: (value) => (Number.isInteger(value) && value >= 1 ? null : 'expected an integer of at least 1'),
+  threshold: (value) => (typeof value === 'number' && Number.isFinite(value) && value >= 0 ? null : 'expected a number of at least 0'),
+  rules: (value) => (isString(value) || isPlainObject(value) ? null : 'expected a path to a JSON rules file or an inline rules object'),
+  cache: (value) => (typeof value === 'boolean' || isString(value) ? null : 'expected true, false or a cache directory'),
+  registrars: (value) => (isString(value) || (Array.isArray(value) && value.length > 0 && value.every(isString))
+    ? null
+    : 'expected a non-empty array of registrar ids'),
+  plugins: (value) => (Array.isArray(value) && value.every(isString) ? null : 'expected an array of plugin file paths or package names'),
+  outputs: (value) => {
+    if (!Array.isArray(value)) return `expected an array of output formats (${OUTPUT_FORMATS.join(', ')})`;
+    const unknown = value.filter((format) => !OUTPUT_FORMATS.includes(format));
+    return unknown.length ? `unknown output format ${unknown.map((f) => JSON.stringify(f)).join(', ')} (expected ${OUTPUT_FORMATS.join(', ')})` : null;
+  },
+};
+
+const SCHEMA = {
+  registrars: 'registrars',
+  outDir: 'path',
+  outputs: 'outputs',
+  plugins: 'plugins',
+  generators: null, // validated separately: { <id>: { options: {...} } }
+  unified: {
+    out: 'path',
+    currency: 'currency',
+    localCurrencies: 'currencies',
+    currencyPrecision: 'precision',
+    multiYear: 'boolean',
+    promos: 'boolean',
+    membershipTiers: 'providerMap',
+    priceTiers: 'providerMap',
+    strategy: 'string',
+  },
+  pricingRules: 'rules',
+  providerRules: 'rules',
+  guard: {
+    maxTldDropPct: 'threshold',
+    priceChangePct: 'threshold',
+    maxPriceChanges: 'threshold',
+  },
+  history: 'boolean',
+  historyDir: 'path',
+  cache: 'cache',
+  concurrency: 'positiveInteger',
+  continueOnError: 'boolean',
+};
+
+function checkSection(section, schema, prefix, problems) {
+  if (!isPlainObject(section)) {
+    problems.push(`${prefix || 'config'}: expected an object`);
+    return;
+  }
+  for (const [key, value] of Object.entries(section)) {
+    const where = prefix ? `${prefix}.${key}` : key;
+    if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+      problems.push(`${where}: unknown key (expected one of ${Object.keys(schema).join(', ')})`);
+      continue;
+    }
+    const rule = schema[key];
+    if (rule === null) continue;
+    if (typeof rule === 'object') {
+      checkSection(value, rule, where, problems);
+      continue;
+    }
+    const problem = checks[rule](value);
+    if (problem) problems.push(`${where}: ${problem}`);
+  }
+}
+
+/**
+ * Validate a parsed config object.
+ *
+ * @param {any} config
+ * @param {Object} [opts]
+ * @param {string[]} [opts.generatorIds] known generator ids; `registrars` and
+ *   `generators` entries are checked against it when given, so load plugins first
+ * @param {string} [opts.source] file name used in the error message
+ * @throws {Error} code ECONFIG, listing every problem found
+ */
+export function validateConfig(config, { generatorIds, source = 'config' } = {}) {
+  const problems = [];
+  checkSection(config, SCHEMA, '', problems);
+
+  if (isPlainObject(config)) {
+    const isKnown = (id) => !generatorIds || generatorIds.includes(id);
+    const registrars = typeof config.registrars === 'string' ? config.registrars.split(',').map((id) => id.trim()) : config.registrars;
+    if (Array.isArray(registrars)) {
+      for (const id of registrars) {
+        if (isString(id) && !isKnown(id)) problems.push(`registrars: unknown registrar "${id}"`);
+      }
+    }
+    if (config.generators !== undefined) {
+      if (!isPlainObject(config.generators)) {
+        problems.push('generators: expected an object of generator id -> { options }');
+      } else {
+        for (const [id, entry] of Object.entries(config.generators)) {
+          if (!isKnown(id)) problems.push(`generators.${id}: unknown generator`);
+          if (!isPlainObject(entry)) {
+            problems.push(`generators.${id}: expected an object such as { "options": { ... } }`);
+            continue;
+          }
+          for (const key of Object.keys(entry)) {
+            if (key !== 'options') problems.push(`generators.${id}.${key}: unknown key (expected options)`);
+          }
+          if (entry.options !== undefined && !isPlainObject(entry.options)) problems.push(`generators.${id}.options: expected an object`);
+        }
+      }
+    }
+  }
+
+  if (problems.length) {
+    throw configError(`Invalid ${source}:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+  }
+  return config;
+}
+
+/**
+ * First config file found in `cwd`, or null.
+ * @param {string} cwd
+ */
+export async function findConfigFile(cwd) {
+  for (const name of CONFIG_FILES) {
+    const candidate = path.join(cwd, name);
+    try {
+      await fs.access(candidate);
+      return candidate;
+    } catch (_) {
+      // Try the next name.
+    }
+  }
+  return null;
+}
+
+async function readConfigFile(file) {
+  if (file.endsWith('.json')) {
+    let text;
+    try {
+      text = await fs.readFile(file, 'utf8');
+    } catch (err) {
+      throw configError(`Failed to read config ${file}: ${err.message}`);
+    }
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      throw configError(`Failed to parse config ${file}: ${err.message}`);
+    }
+  }
+  if (/\.[cm]?js$/.test(file)) {
+    let mod;
+    try {
+      mod = await import(pathToFileURL(file).href);
+    } catch (err) {
+      throw configError(`Failed to load config ${file}: ${err.message}`);
+    }
+    // The default export is the config, or a (possibly async) function returning it.
+    const exported = mod.default;
+    return typeof exported === 'function' ? exported() : exported;
+  }
+  throw configError(`Unsupported config file ${file} (expected .json or .js)`);
+}
+
+// Relative paths in the config are relative to the file, not to the cwd.
+function resolvePaths(config, baseDir) {
+  const resolve = (value) => (typeof value === 'string' ? path.resolve(baseDir, value) : value);
+  const out = { ...config };
+  for (const key of ['outDir', 'historyDir', 'pricingRules', 'providerRules']) {
+    if (key in out) out[key] = resolve(out[key]);
+  }
+  // Plugin packages are left to module resolution; only file paths are resolved here.
+  if (Array.isArray(out.plugins)) out.plugins = out.plugins.map((spec) => (spec.startsWith('.') ? path.resolve(baseDir, spec) : spec));
+  if (out.cache === true) out.cache = path.join(baseDir, DEFAULT_CACHE_DIR);
+  else if (typeof out.cache === 'string') out.cache = resolve(out.cache);
+  return out;
+}
+
+/**
+ * Load, validate and resolve the config for a run.
+ *
+ * @param {Object} [opts]
+ * @param {string} [opts.file] explicit config path (`--config`); must exist
+ * @param {string} [opts.cwd] where to look for a config file when `file` is not given
+ * @param {string[]} [opts.generatorIds] known generator ids, see validateConfig
+ * @returns {Promise<{ path: string, config: Record<string, any> } | null>} null when no config file was found
+ */
+export async function loadConfig({ file, cwd = process.cwd(), generatorIds } = {}) {
+  let resolved;
+  if (file) {
+    resolved = path.resolve(cwd, file);
+    try {
+      await fs.access(resolved);
+    } catch (_) {
+      throw configError(`Config file not found: ${resolved}`);
+    }
+  } else {
+    resolved = await findConfigFile(cwd);
+    if (!resolved) return null;
+  }
+  const config = await readConfigFile(resolved);
+  validateConfig(config, { generatorIds, source: `config ${path.relative(cwd, resolved) || resolved}` });
+  return { path: resolved, config: resolvePaths(config, path.dirname(resolved)) };
+}
@@ -0,0 +1,13 @@
+/**
+ * CSV helpers shared by every writer (unified lists, catalog, diff, history,
+ * forecast and quote reports).
+ */
+
+/** Quote a CSV field when it contains a comma, quote or line break; null and undefined become empty. */
+export function escapeCsvField(value) {
+  const str = String(value ?? '');
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
@@ -0,0 +1,93 @@
+/**
+ * Currency helpers built on top of the exchange-rates.json records emitted by
+ * the exchange rates generator. Every record carries the number of units of
+ * `currencyCode` per one USD, so USD is the implicit base currency.
+ */
+
+export const BASE_CURRENCY = 'USD';
+
+// ISO 4217 currencies without minor units; everything else defaults to 2 decimals.
+const ZERO_DECIMAL_CURRENCIES = ['CLP', 'ISK', 'JPY', 'KRW', 'PYG', 'RWF', 'UGX', 'VND', 'XAF', 'XOF'];
+
+export function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Round to a number of decimals. Negative precision rounds to tens, hundreds, ...
+ * @param {number} n
+ * @param {number} decimals
+ */
+export function roundTo(n, decimals) {
+  if (decimals >= 0) {
+    const factor = 10 ** decimals;
+    return Math.round(n * factor) / factor;
+  }
+  const step = 10 ** -decimals;
+  return Math.round(n / step) * step;
+}
+
+/**
+ * Decimals prices in `code` are rounded to: an explicit override, else 0 for
+ * zero-decimal currencies and 2 for the rest.
+ *
+ * @param {string} code
+ * @param {Record<string, number>} [overrides]
+ * @returns {number}
+ */
+export function currencyPrecision(code, overrides = {}) {
+  if (Object.prototype.hasOwnProperty.call(overrides || {}, code)) return overrides[code];
+  return ZERO_DECIMAL_CURRENCIES.includes(code) ? 0 : 2;
+}
+
+/**
+ * Normalize a currency code to upper-case ISO form, or null when missing.
+ * @param {unknown} code
+ * @returns {string | null}
+ */
+export function normalizeCurrencyCode(code) {
+  if (typeof code !== 'string') return null;
+  const trimmed = code.trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(trimmed) ? trimmed : null;
+}
+
+/**
+ * Build a lookup of currency code -> units per USD from exchange rate records.
+ * Several countries share a currency, so the first valid rate wins.
+ *
+ * @param {Array<{ currencyCode?: string, exchangeRate?: number }>} [entries]
+ * @returns {Map<string, number>}
+ */
+export function buildRateTable(entries) {
+  const table = new Map([[BASE_CURRENCY, 1]]);
+  if (!Array.isArray(entries)) return table;
+  for (const entry of entries) {
+    const code = normalizeCurrencyCode(entry?.currencyCode);
+    const rate = Number(entry?.exchangeRate);
+    if (!code || table.has(code)) continue;
+    if (!Number.isFinite(rate) || rate <= 0) continue;
+    table.set(code, rate);
+  }
+  return table;
+}
+
+/**
+ * Rate that converts one unit of `from` into `to`.
+ *
+ * @param {Map<string, number>} table
+ * @param {string} from
+ * @param {string} to
+ * @returns {number}
+ */
+export function getConversionRate(table, from, to) {
+  if (from === to) return 1;
+  const fromRate = table.get(from);
+  const toRate = table.get(to);
+  if (!fromRate || !toRate) {
+    const missing = !fromRate ? from : to;
+    const err = new Error(`No exchange rate available for ${missing} (converting ${from} -> ${to})`);
+    err.code = 'ECURRENCY';
+    throw err;
+  }
+  return toRate / fromRate;
+}
@@ -0,0 +1,230 @@
+/**
+ * Snapshot diffing: compares two generator outputs ({ meta, data }) or two
+ * unified lists (arrays of { provider, tld, 'regular-price' }) and reports
+ * added/removed TLDs, per-operation price changes and provider winner changes.
+ */
+
+import { round2 } from './currency.js';
+import { escapeCsvField } from './csv.js';
+
+const PRICE_MAP_SUFFIX = '-price';
+// Unified entries carry the provider's unconverted prices as `original-price`;
+// only the comparable prices are diffed.
+export const UNIFIED_PRICE_MAPS = ['regular-price'];
+
+function isUnifiedList(snapshot) {
+  return Array.isArray(snapshot);
+}
+
+function isGeneratorOutput(snapshot) {
+  return Boolean(snapshot) && typeof snapshot === 'object' && !Array.isArray(snapshot)
+    && Boolean(snapshot.data) && typeof snapshot.data === 'object';
+}
+
+function detectKind(snapshot, label) {
+  if (isUnifiedList(snapshot)) return 'unified';
+  if (isGeneratorOutput(snapshot)) return 'generator';
+  throw new TypeError(`${label} snapshot is neither a generator output nor a unified list`);
+}
+
+function toNumericMap(map) {
+  const prices = {};
+  if (!map || typeof map !== 'object') return prices;
+  for (const [op, v] of Object.entries(map)) {
+    const n = Number(v);
+    if (Number.isFinite(n)) prices[op] = n;
+  }
+  return prices;
+}
+
+/**
+ * Collect the numeric `*-price` maps of an entry. Maps nested by tier name
+ * (e.g. `membership-price: { supreme: {...} }`) are flattened to
+ * `membership-price.supreme`.
+ *
+ * @param {any} entry
+ * @param {string[]} [allowed] restrict to these top-level keys
+ * @returns {Record<string, Record<string, number>>}
+ */
+export function pickPriceMaps(entry, allowed) {
+  const tiers = {};
+  if (!entry || typeof entry !== 'object') return tiers;
+  for (const [key, map] of Object.entries(entry)) {
+    if (!key.endsWith(PRICE_MAP_SUFFIX) || !map || typeof map !== 'object') continue;
+    if (allowed && !allowed.includes(key)) continue;
+    const nested = Object.values(map).some((v) => v && typeof v === 'object');
+    if (!nested) {
+      tiers[key] = toNumericMap(map);
+      continue;
+    }
+    for (const [tier, tierMap] of Object.entries(map)) {
+      tiers[`${key}.${tier}`] = toNumericMap(tierMap);
+    }
+  }
+  return tiers;
+}
+
+/**
+ * Normalize either snapshot shape into tld -> { provider, tiers }.
+ * @returns {Map<string, { provider: string | null, tiers: Record<string, Record<string, number>> }>}
+ */
+function indexSnapshot(snapshot, kind) {
+  const index = new Map();
+  if (kind === 'unified') {
+    for (const entry of snapshot) {
+      if (!entry || !entry.tld) continue;
+      index.set(entry.tld, { provider: entry.provider || null, tiers: pickPriceMaps(entry, UNIFIED_PRICE_MAPS) });
+    }
+    return index;
+  }
+  for (const [tld, entry] of Object.entries(snapshot.data)) {
+    index.set(tld, { provider: null, tiers: pickPriceMaps(entry) });
+  }
+  return index;
+}
+
+function byTldTierOp(a, b) {
+  if (a.tld !== b.tld) return a.tld < b.tld ? -1 : 1;
+  if (a.tier !== b.tier) return a.tier < b.tier ? -1 : 1;
+  if (a.operation !== b.operation) return a.operation < b.operation ? -1 : 1;
+  return 0;
+}
+
+function comparePrices(tld, oldTiers, newTiers) {
+  const changes = [];
+  const tiers = new Set([...Object.keys(oldTiers), ...Object.keys(newTiers)]);
+  for (const tier of tiers) {
+    const before = oldTiers[tier] || {};
+    const after = newTiers[tier] || {};
+    const ops = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const operation of ops) {
+      const oldPrice = Object.prototype.hasOwnProperty.call(before, operation) ? before[operation] : null;
+      const newPrice = Object.prototype.hasOwnProperty.call(after, operation) ? after[operation] : null;
+      if (oldPrice === newPrice) continue;
+      const delta = oldPrice !== null && newPrice !== null ? round2(newPrice - oldPrice) : null;
+      const percent = delta !== null && oldPrice !== 0 ? round2((delta / oldPrice) * 100) : null;
+      changes.push({ tld, tier, operation, old_price: oldPrice, new_price: newPrice, delta, percent });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Compare two price snapshots of the same shape.
+ *
+ * @param {any} oldSnapshot generator output or unified list
+ * @param {any} newSnapshot generator output or unified list
+ * @returns {{
+ *   kind: 'generator'|'unified',
+ *   summary: Record<string, number>,
+ *   added_tlds: string[],
+ *   removed_tlds: string[],
+ *   price_changes: Array<{ tld: string, tier: string, operation: string, old_price: number|null, new_price: number|null, delta: number|null, percent: number|null }>,
+ *   provider_changes: Array<{ tld: string, old_provider: string|null, new_provider: string|null }>,
+ * }}
+ */
+export function diffPriceSnapshots(oldSnapshot, newSnapshot) {
+  const oldKind = detectKind(oldSnapshot, 'Old');
+  const newKind = detectKind(newSnapshot, 'New');
+  if (oldKind !== newKind) {
+    throw new TypeError(`Cannot diff a ${oldKind} snapshot against a ${newKind} snapshot`);
+  }
+  const before = indexSnapshot(oldSnapshot, oldKind);
+  const after = indexSnapshot(newSnapshot, newKind);
+
+  const added = [];
+  const removed = [];
+  const priceChanges = [];
+  const providerChanges = [];
+
+  for (const tld of before.keys()) {
+    if (!after.has(tld)) removed.push(tld);
+  }
+  for (const [tld, next] of after) {
+    const prev = before.get(tld);
+    if (!prev) {
+      added.push(tld);
+      continue;
+    }
+    priceChanges.push(...comparePrices(tld, prev.tiers, next.tiers));
+    if (prev.provider !== next.provider) {
+      providerChanges.push({ tld, old_provider: prev.provider, new_provider: next.provider });
+    }
+  }
+
+  added.sort();
+  removed.sort();
+  priceChanges.sort(byTldTierOp);
+  providerChanges.sort((a, b) => (a.tld < b.tld ? -1 : a.tld > b.tld ? 1 : 0));
+
+  return {
+    kind: newKind,
+    summary: {
+      tlds_old: before.size,
+      tlds_new: after.size,
+      added: added.length,
+      removed: removed.length,
+      price_changes: priceChanges.length,
+      provider_changes: providerChanges.length,
+    },
+    added_tlds: added,
+    removed_tlds: removed,
+    price_changes: priceChanges,
+    provider_changes: providerChanges,
+  };
+}
+
+function formatPrice(value) {
+  return value === null || value === undefined ? '–' : String(value);
+}
+
+function formatDelta(value, suffix = '') {
+  if (value === null || value === undefined) return '–';
+  return `${value > 0 ? '+' : ''}${value}${suffix}`;
+}
+
+/** Render a diff report as markdown suitable for release notes. */
+export function diffReportToMarkdown(report, { title = 'Price changes' } = {}) {
+  const { summary } = report;
+  const lines = [`## ${title}`, ''];
+  lines.push(`- TLDs: ${summary.tlds_old} → ${summary.tlds_new}`);
+  lines.push(`- Added: ${summary.added}, removed: ${summary.removed}`);
+  lines.push(`- Price changes: ${summary.price_changes}`);
+  if (report.kind === 'unified') lines.push(`- Provider changes: ${summary.provider_changes}`);
+
+  if (report.added_tlds.length) {
+    lines.push('', '### Added TLDs', '', report.added_tlds.map((tld) => `\`${tld}\``).join(', '));
+  }
+  if (report.removed_tlds.length) {
+    lines.push('', '### Removed TLDs', '', report.removed_tlds.map((tld) => `\`${tld}\``).join(', '));
+  }
+  if (report.price_changes.length) {
+    lines.push('', '### Price changes', '', '| TLD | Tier | Operation | Old | New | Δ | Δ % |', '| --- | --- | --- | ---: | ---: | ---: | ---: |');
+    for (const c of report.price_changes) {
+      lines.push(`| ${c.tld} | ${c.tier} | ${c.operation} | ${formatPrice(c.old_price)} | ${formatPrice(c.new_price)} | ${formatDelta(c.delta)} | ${formatDelta(c.percent, '%')} |`);
+    }
+  }
+  if (report.provider_changes.length) {
+    lines.push('', '### Provider changes', '', '| TLD | Old provider | New provider |', '| --- | --- | --- |');
+    for (const c of report.provider_changes) {
+      lines.push(`| ${c.tld} | ${c.old_provider ?? '–'} | ${c.new_provider ?? '–'} |`);
+    }
+  }
+  if (!report.added_tlds.length && !report.removed_tlds.length && !report.price_changes.length && !report.provider_changes.length) {
+    lines.push('', 'No changes.');
+  }
+  return lines.join('\n') + '\n';
+}
+
+const DIFF_CSV_COLUMNS = ['change', 'tld', 'tier', 'operation', 'old_price', 'new_price', 'delta', 'percent', 'old_provider', 'new_provider'];
+
+/** Flatten a diff report into CSV with one row per change. */
+export function diffReportToCsv(report) {
+  const rows = [];
+  for (const tld of report.added_tlds) rows.push({ change: 'added', tld });
+  for (const tld of report.removed_tlds) rows.push({ change: 'removed', tld });
+  for (const c of report.price_changes) rows.push({ change: 'price', ...c });
+  for (const c of report.provider_changes) rows.push({ change: 'provider', ...c });
+  const body = rows.map((row) => DIFF_CSV_COLUMNS.map((col) => escapeCsvField(row[col])).join(','));
+  return [DIFF_CSV_COLUMNS.join(','), ...body].join('\n');
+}
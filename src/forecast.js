@@ -0,0 +1,250 @@
+/**
+ * Renewal forecast for a domain portfolio. Takes an inventory (domain,
+ * registrar, expiry date) plus registrar generator outputs and projects:
+ *
+ * - month-by-month renewal spend over the next N years, at each domain's
+ *   current registrar and at the cheapest provider for its TLD
+ * - per-domain totals for both scenarios
+ * - transfer candidates: domains where transferring to another provider
+ *   (transfer price, then that provider's renewals) beats renewing in place
+ *
+ * Prices come from generateComparisonMatrix, so they share the unified
+ * builders' comparison currency, tier and promo options.
+ */
+
+import { parse } from 'csv-parse/sync';
+import { escapeCsvField } from './csv.js';
+import { generateComparisonMatrix } from './generators/unified.js';
+import { round2 } from './currency.js';
+import { findLongestTld, parseDomainName } from './quote.js';
+
+const DOMAIN_COLUMNS = ['domain', 'domain_name', 'name'];
+const REGISTRAR_COLUMNS = ['registrar', 'provider'];
+const EXPIRY_COLUMNS = ['expires', 'expiry', 'expiry_date', 'expires_at', 'expiration_date'];
+
+function forecastError(message) {
+  const err = new Error(message);
+  err.code = 'EFORECAST';
+  return err;
+}
+
+function pickColumn(header, names, label) {
+  const index = header.findIndex((col) => names.includes(col));
+  if (index === -1) throw forecastError(`Inventory is missing a ${label} column (expected one of ${names.join(', ')})`);
+  return index;
+}
+
+/**
+ * Parse an inventory CSV with a header row naming the domain, registrar and
+ * expiry date columns (e.g. `domain,registrar,expires`).
+ *
+ * @param {string} text
+ * @returns {Array<{ domain: string, registrar: string, expires: string }>}
+ */
+export function parseInventoryCsv(text) {
+  const records = parse(String(text || ''), { skip_empty_lines: true, trim: true, relax_column_count: true });
+  if (!records.length) return [];
+  const header = records[0].map((col) => col.toLowerCase().replace(/[\s-]+/g, '_'));
+  const domainCol = pickColumn(header, DOMAIN_COLUMNS, 'domain');
+  const registrarCol = pickColumn(header, REGISTRAR_COLUMNS, 'registrar');
+  const expiryCol = pickColumn(header, EXPIRY_COLUMNS, 'expiry date');
+  return records.slice(1)
+    .filter((row) => row[domainCol])
+    .map((row) => ({ domain: row[domainCol], registrar: row[registrarCol] || '', expires: row[expiryCol] || '' }));
+}
+
+function toUtcDate(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function addYears(date, years) {
+  return new Date(Date.UTC(date.getUTCFullYear() + years, date.getUTCMonth(), date.getUTCDate()));
+}
+
+function monthKey(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Renewal dates inside [start, end). An expiry already in the past is due
+ * immediately, so it is counted in the start month.
+ */
+function renewalDates(expires, start, end) {
+  const dates = [];
+  let due = expires;
+  if (due < start) {
+    dates.push(start);
+    while (due < start) due = addYears(due, 1);
+    if (due.getTime() === start.getTime()) due = addYears(due, 1);
+  }
+  for (; due < end; due = addYears(due, 1)) dates.push(due);
+  return dates;
+}
+
+function indexMatrix(matrix) {
+  const index = new Map();
+  for (const row of matrix.rows) {
+    if (!index.has(row.tld)) index.set(row.tld, {});
+    index.get(row.tld)[row.operation] = row.prices;
+  }
+  return index;
+}
+
+function cheapestOf(prices = {}) {
+  let best = null;
+  for (const [provider, price] of Object.entries(prices)) {
+    if (!best || price < best.price || (price === best.price && provider < best.provider)) best = { provider, price };
+  }
+  return best;
+}
+
+function bestTransfer(tldPrices, registrar, renewals, stayCost) {
+  let best = null;
+  for (const [provider, transfer] of Object.entries(tldPrices.transfer || {})) {
+    if (provider === registrar) continue;
+    const renew = tldPrices.renew?.[provider];
+    if (renewals > 1 && !Number.isFinite(renew)) continue;
+    // A transfer includes one year; the remaining renewals happen at the new provider.
+    const moveCost = round2(transfer + (renewals - 1) * (renew || 0));
+    if (!best || moveCost < best.move_cost || (moveCost === best.move_cost && provider < best.to)) {
+      best = { to: provider, transfer_price: transfer, renew_price: renew ?? null, move_cost: moveCost };
+    }
+  }
+  if (!best || best.move_cost >= stayCost) return null;
+  return { ...best, stay_cost: stayCost, savings: round2(stayCost - best.move_cost) };
+}
+
+/**
+ * Build a renewal forecast.
+ *
+ * @param {Array<{ domain: string, registrar: string, expires: string | Date }>} inventory
+ * @param {Object<string, { meta?: any, data?: Record<string, any> }>} resultsByRegistrar generator outputs by id
+ * @param {Object} [options] generateUnifiedList currency/tier/promo options, plus:
+ * @param {number} [options.years=1] forecast horizon in years
+ * @param {Date|string} [options.start] first day of the forecast (default: today)
+ */
+export function forecastRenewals(inventory, resultsByRegistrar, options = {}) {
+  const years = options.years ?? 1;
+  if (!Number.isInteger(years) || years < 1) throw forecastError(`Invalid forecast horizon: ${options.years} years`);
+  const start = toUtcDate(options.start ?? new Date());
+  if (!start) throw forecastError(`Invalid forecast start date: ${options.start}`);
+  const end = addYears(start, years);
+
+  const matrix = generateComparisonMatrix(resultsByRegistrar, { ...options, operations: ['renew', 'transfer'] });
+  const index = indexMatrix(matrix);
+
+  const months = new Map();
+  for (let m = new Date(start); m < end; m = new Date(Date.UTC(m.getUTCFullYear(), m.getUTCMonth() + 1, 1))) {
+    months.set(monthKey(m), { month: monthKey(m), renewals: 0, current_cost: 0, cheapest_cost: 0, unpriced: 0 });
+  }
+
+  const domains = [];
+  for (const item of inventory) {
+    const registrar = String(item.registrar || '').trim().toLowerCase();
+    const row = { domain: String(item.domain), registrar };
+    try {
+      const parsed = parseDomainName(item.domain);
+      row.domain = parsed.unicode;
+      const expires = toUtcDate(item.expires);
+      if (!expires) throw forecastError(`Invalid expiry date "${item.expires}"`);
+      row.expires = expires.toISOString().slice(0, 10);
+      const match = findLongestTld(parsed.labels, index);
+      if (!match) throw forecastError(`No prices for the TLD of ${parsed.unicode}`);
+      row.tld = match.tld;
+      const tldPrices = match.entry;
+      const dates = renewalDates(expires, start, end);
+      const current = tldPrices.renew?.[registrar];
+      const cheapest = cheapestOf(tldPrices.renew);
+      Object.assign(row, {
+        renewals: dates.length,
+        current_renew: Number.isFinite(current) ? current : null,
+        cheapest_provider: cheapest?.provider ?? null,
+        cheapest_renew: cheapest?.price ?? null,
+      });
+      row.current_total = row.current_renew === null ? null : round2(row.current_renew * dates.length);
+      row.cheapest_total = row.cheapest_renew === null ? null : round2(row.cheapest_renew * dates.length);
+      row.transfer = row.current_total === null || dates.length === 0
+        ? null
+        : bestTransfer(tldPrices, registrar, dates.length, row.current_total);
+      for (const date of dates) {
+        const bucket = months.get(monthKey(date));
+        bucket.renewals += 1;
+        // Both scenarios only cover domains priced at their current registrar, so they stay comparable.
+        if (row.current_renew === null) {
+          bucket.unpriced += 1;
+          continue;
+        }
+        bucket.current_cost = round2(bucket.current_cost + row.current_renew);
+        bucket.cheapest_cost = round2(bucket.cheapest_cost + (row.cheapest_renew ?? row.current_renew));
+      }
+    } catch (err) {
+      if (!['EFORECAST', 'EQUOTE'].includes(err.code)) throw err;
+      row.error = err.message;
+    }
+    domains.push(row);
+  }
+
+  const monthly = Array.from(months.values()).map((m) => ({ ...m, savings: round2(m.current_cost - m.cheapest_cost) }));
+  const priced = domains.filter((d) => !d.error && d.current_total !== null);
+  const current = round2(priced.reduce((sum, d) => sum + d.current_total, 0));
+  const cheapest = round2(priced.reduce((sum, d) => sum + (d.cheapest_total ?? d.current_total), 0));
+  const transferCandidates = domains
+    .filter((d) => d.transfer)
+    .map((d) => ({ domain: d.domain, tld: d.tld, registrar: d.registrar, expires: d.expires, ...d.transfer }))
+    .sort((a, b) => b.savings - a.savings || (a.domain < b.domain ? -1 : 1));
+
+  return {
+    currency: matrix.currency,
+    start: start.toISOString().slice(0, 10),
+    years,
+    totals: {
+      domains: domains.length,
+      renewals: monthly.reduce((sum, m) => sum + m.renewals, 0),
+      current_cost: current,
+      cheapest_cost: cheapest,
+      savings: round2(current - cheapest),
+      transfer_savings: round2(transferCandidates.reduce((sum, t) => sum + t.savings, 0)),
+      unpriced_domains: domains.filter((d) => d.error || d.current_total === null).length,
+    },
+    months: monthly,
+    domains,
+    transfer_candidates: transferCandidates,
+  };
+}
+
+/** Monthly forecast as CSV. */
+export function forecastToCsv(forecast) {
+  const columns = ['month', 'renewals', 'current_cost', 'cheapest_cost', 'savings', 'unpriced'];
+  return [columns.join(','), ...forecast.months.map((m) => columns.map((col) => escapeCsvField(m[col])).join(','))].join('\n');
+}
+
+/** Render a forecast as markdown: totals, monthly spend and transfer candidates. */
+export function forecastToMarkdown(forecast) {
+  const { totals, currency } = forecast;
+  const lines = [`## Renewal forecast (${forecast.start}, ${forecast.years} year${forecast.years === 1 ? '' : 's'}, ${currency})`, ''];
+  lines.push(`- Domains: ${totals.domains} (${totals.renewals} renewals)`);
+  lines.push(`- At current registrars: ${totals.current_cost}`);
+  lines.push(`- At cheapest providers: ${totals.cheapest_cost} (saves ${totals.savings})`);
+  lines.push(`- Transfer savings available: ${totals.transfer_savings}`);
+  if (totals.unpriced_domains) lines.push(`- Domains without a current price: ${totals.unpriced_domains}`);
+
+  lines.push('', '### Monthly spend', '', '| Month | Renewals | Current | Cheapest | Savings |', '| --- | ---: | ---: | ---: | ---: |');
+  for (const m of forecast.months) {
+    if (!m.renewals) continue;
+    lines.push(`| ${m.month} | ${m.renewals} | ${m.current_cost} | ${m.cheapest_cost} | ${m.savings} |`);
+  }
+  if (forecast.transfer_candidates.length) {
+    lines.push('', '### Transfer candidates', '', '| Domain | From | To | Transfer | Stay | Move | Savings |', '| --- | --- | --- | ---: | ---: | ---: | ---: |');
+    for (const t of forecast.transfer_candidates) {
+      lines.push(`| ${t.domain} | ${t.registrar} | ${t.to} | ${t.transfer_price} | ${t.stay_cost} | ${t.move_cost} | ${t.savings} |`);
+    }
+  }
+  const failed = forecast.domains.filter((d) => d.error || d.current_renew === null);
+  if (failed.length) {
+    lines.push('', '### Not priced', '');
+    for (const d of failed) lines.push(`- ${d.domain}: ${d.error || `no renew price at ${d.registrar || 'unknown registrar'}`}`);
+  }
+  return lines.join('\n') + '\n';
+}
@@ -103,7 +103,7 @@ export const exchangeRatesGenerator = createRegistrarPriceGenerator({
     logger({ level: 'info', message: `Fetching FX rates from ${ratesUrl}` });
 
     const isV5 = countryApiUrl.includes('/v5') || countryApiUrl.includes('api.restcountries.com');
-    const apiKey = env.REST_COUNTRIES_API_KEY || env.RESTCOUNTRIES_API_KEY || options.restCountriesApiKey;
+    const apiKey = options.restCountriesApiKey || env.REST_COUNTRIES_API_KEY || env.RESTCOUNTRIES_API_KEY;
 
     let countriesPromise;
     if (isV5) {
@@ -111,7 +111,7 @@ export const exchangeRatesGenerator = createRegistrarPriceGenerator({
         if (logger) {
           logger({
             level: 'warn',
-            message: 'No REST Countries API key found in environment (REST_COUNTRIES_API_KEY). ' +
+            message: 'No REST Countries API key found (restCountriesApiKey option or REST_COUNTRIES_API_KEY). ' +
                      'Falling back to keyless public clone of the country dataset.',
           });
         }
@@ -1,7 +1,12 @@
 import namecheapGenerator from './namecheap.js';
 import niraGenerator from './nira.js';
 import openproviderGenerator from './openprovider.js';
-export { generateUnifiedList, generateCheapestOpRows, rowsToCsv, generateCatalogRows, catalogRowsToCsv } from './unified.js';
+export { generateUnifiedList, generateCheapestOpRows, rowsToCsv, generateCatalogRows, catalogRowsToCsv, generateComparisonMatrix, comparisonMatrixToCsv } from './unified.js';
+export { escapeCsvField } from '../csv.js';
+export { resolveSelectionStrategy } from './strategies.js';
+export { normalizeProviderRules, matchesTldPattern } from './provider-rules.js';
+
+export { RegistrarPriceGenerator, createRegistrarPriceGenerator } from '../registrar-generator.js';
 
 export const registrarGenerators = [namecheapGenerator, niraGenerator, openproviderGenerator];
 
@@ -9,6 +14,58 @@ export const registrarGeneratorMap = Object.fromEntries(
   registrarGenerators.map((generator) => [generator.id, generator]),
 );
 
+// Ids and output files the CLI uses itself, so no registrar may take them.
+const RESERVED_IDS = ['exchange-rates', 'unified', 'comparison-matrix', 'price-history', 'manifest'];
+const RESERVED_OUTPUTS = ['exchange-rates.json', 'unified-prices.json', 'comparison-matrix.json', 'price-history.json', 'manifest.json'];
+
+/**
+ * Add a third-party generator so it is listed, selectable with
+ * `--registrars` and included in unified outputs like the built-ins.
+ *
+ * Any object with an `id`, a `label` and a `generate()` function is
+ * accepted, so a plugin built against another copy of this package works too.
+ *
+ * @param {import('../registrar-generator.js').RegistrarPriceGenerator} generator
+ * @returns {import('../registrar-generator.js').RegistrarPriceGenerator} the generator
+ * @throws {TypeError} when the generator is malformed
+ * @throws {Error} code EDUPLICATE when its id or label is already taken
+ */
+export function registerRegistrarGenerator(generator) {
+  if (!generator || typeof generator.generate !== 'function') {
+    throw new TypeError('registerRegistrarGenerator() expects a RegistrarPriceGenerator with a generate() function.');
+  }
+  if (typeof generator.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(generator.id)) {
+    throw new TypeError(`Invalid generator id ${JSON.stringify(generator.id)}: use lowercase letters, digits and dashes.`);
+  }
+  if (typeof generator.label !== 'string' || !generator.label.trim()) {
+    throw new TypeError(`Generator "${generator.id}" requires a "label".`);
+  }
+  if (generator.defaultOutput !== undefined && !/^[\w.-]+\.json$/.test(generator.defaultOutput)) {
+    throw new TypeError(`Generator "${generator.id}" has an invalid defaultOutput ${JSON.stringify(generator.defaultOutput)}: expected a .json file name.`);
+  }
+  const label = generator.label.trim().toLowerCase();
+  const output = generator.defaultOutput || `${generator.id}-prices.json`;
+  const clash = RESERVED_IDS.includes(generator.id)
+    ? `id "${generator.id}" is reserved`
+    : registrarGeneratorMap[generator.id]
+      ? `id "${generator.id}" is already registered`
+      : registrarGenerators.some((existing) => existing.label.trim().toLowerCase() === label)
+        ? `label "${generator.label}" is already used by another generator`
+        : RESERVED_OUTPUTS.includes(output) || registrarGenerators.some((existing) => existing.defaultOutput === output)
+          ? `output file "${output}" is already written by another generator`
+          : null;
+  if (clash) {
+    const err = new Error(`Cannot register generator: ${clash}`);
+    err.code = 'EDUPLICATE';
+    throw err;
+  }
+  // Everything that reads or writes snapshots goes through defaultOutput.
+  if (!generator.defaultOutput) generator.defaultOutput = output;
+  registrarGenerators.push(generator);
+  registrarGeneratorMap[generator.id] = generator;
+  return generator;
+}
+
 export function listRegistrarIds() {
   return registrarGenerators.map((generator) => generator.id);
 }
@@ -1,5 +1,6 @@
 import { createRegistrarPriceGenerator } from '../registrar-generator.js';
 import { fetchWithRetry } from '../http.js';
+import { round2 } from '../currency.js';
 
 const REQUIRED_CREDENTIALS = [
   'NAMECHEAP_API_USER',
@@ -9,6 +10,8 @@ const REQUIRED_CREDENTIALS = [
 ];
 
 const ACTIONS = ['REGISTER', 'RENEW', 'TRANSFER', 'REACTIVATE'];
+// Namecheap allows 50 API calls a minute per account.
+const RATE_LIMIT_MS = 1200;
 
 function mask(value, keepStart = 2, keepEnd = 2) {
   if (!value) return '';
@@ -82,7 +85,7 @@ async function fetchXml(context, command, params = {}) {
   const url = buildUrl(context, command, params);
   const logger = context.logger || (() => {});
   logger({ level: 'info', message: `[namecheap] GET ${sanitizeUrl(url)}` });
-  const res = await fetchWithRetry(url, { retries: 4, backoffMs: 700, signal: context.signal, logger });
+  const res = await fetchWithRetry(url, { retries: 4, backoffMs: 700, rateLimitMs: RATE_LIMIT_MS, signal: context.signal, logger });
   return res.text();
 }
 
@@ -157,6 +160,28 @@ function mergeMaps(target, source) {
   }
 }
 
+// Per-year tables are keyed tld -> operation -> years -> price.
+function mergeYearMaps(target, source) {
+  for (const [tld, byOp] of Object.entries(source)) {
+    if (!target[tld]) target[tld] = {};
+    for (const [op, byYears] of Object.entries(byOp)) {
+      target[tld][op] = { ...(target[tld][op] || {}), ...byYears };
+    }
+  }
+}
+
+// Namecheap quotes each duration per year (`*Type="MULTIPLE"`) unless it says
+// ABSOLUTE; the by-years tables hold the total for the whole term instead.
+function termTotal(price, type, years) {
+  return String(type || '').toUpperCase() === 'ABSOLUTE' ? price : round2(price * years);
+}
+
+function setYearPrice(table, tld, op, years, price) {
+  if (!table[tld]) table[tld] = {};
+  if (!table[tld][op]) table[tld][op] = {};
+  table[tld][op][years] = price;
+}
+
 async function getPricingForAction(context, action) {
   const xml = await fetchXml(context, 'namecheap.users.getPricing', {
     ProductType: 'DOMAIN',
@@ -171,6 +196,8 @@ async function getPricingForAction(context, action) {
   }
   const sale = {};
   const regular = {};
+  const saleByYears = {};
+  const regularByYears = {};
   let currency = 'USD';
   const productTypeRe = /<ProductType\b([^>]*)>([\s\S]*?)<\/ProductType>/gi;
   let ptMatch;
@@ -199,10 +226,17 @@ async function getPricingForAction(context, action) {
           const priceAttrs = parseAttributes(priceMatch[1] || '');
           const duration = Number(priceAttrs.Duration ?? priceAttrs.DurationRangeStart ?? 0);
           const durationType = String(priceAttrs.DurationType || '').toUpperCase();
-          if (duration !== 1 || (durationType && durationType !== 'YEAR')) continue;
+          if (!Number.isInteger(duration) || duration < 1 || (durationType && durationType !== 'YEAR')) continue;
           const userPrice = Number(priceAttrs.YourPrice);
           const retail = Number(priceAttrs.RegularPrice ?? priceAttrs.RetailPrice ?? priceAttrs.Price);
           currency = priceAttrs.Currency || currency;
+          if (Number.isFinite(userPrice)) {
+            setYearPrice(saleByYears, tld, opKey, duration, termTotal(userPrice, priceAttrs.YourPriceType ?? priceAttrs.PricingType, duration));
+          }
+          if (Number.isFinite(retail)) {
+            setYearPrice(regularByYears, tld, opKey, duration, termTotal(retail, priceAttrs.RegularPriceType ?? priceAttrs.PricingType, duration));
+          }
+          if (duration !== 1) continue;
           if (!sale[tld]) sale[tld] = {};
           if (!regular[tld]) regular[tld] = {};
           if (Number.isFinite(userPrice)) sale[tld][opKey] = userPrice;
@@ -211,7 +245,7 @@ async function getPricingForAction(context, action) {
       }
     }
   }
-  return { sale, regular, currency };
+  return { sale, regular, saleByYears, regularByYears, currency };
 }
 
 export const namecheapGenerator = createRegistrarPriceGenerator({
@@ -227,12 +261,16 @@ export const namecheapGenerator = createRegistrarPriceGenerator({
 
     const combinedSale = {};
     const combinedRegular = {};
+    const combinedSaleByYears = {};
+    const combinedRegularByYears = {};
     let currency = 'USD';
     for (const action of ACTIONS) {
-      const { sale, regular, currency: cur } = await getPricingForAction(context, action);
+      const { sale, regular, saleByYears, regularByYears, currency: cur } = await getPricingForAction(context, action);
       currency = cur || currency;
       mergeMaps(combinedSale, sale);
       mergeMaps(combinedRegular, regular);
+      mergeYearMaps(combinedSaleByYears, saleByYears);
+      mergeYearMaps(combinedRegularByYears, regularByYears);
     }
 
     const allTlds = new Set([...Object.keys(combinedSale), ...Object.keys(combinedRegular)]);
@@ -247,7 +285,9 @@ export const namecheapGenerator = createRegistrarPriceGenerator({
       data[tld] = {
         maxYears: maxYears || 0,
         'regular-price': regularMap,
+        'regular-price-by-years': combinedRegularByYears[tld] || {},
         'sale-price': saleMap,
+        'sale-price-by-years': combinedSaleByYears[tld] || {},
       };
     }
 
@@ -261,7 +301,7 @@ export const namecheapGenerator = createRegistrarPriceGenerator({
         tlds_total: tlds.length,
         tlds_in_output: Object.keys(data).length,
         tld_metadata_fetched_at: fetched_at,
-        notes: 'Year=1 prices only. Output mirrors OpenProvider structure with regular-price and sale-price maps.',
+        notes: 'Operation maps hold year=1 prices; *-by-years tables hold the total price of an N-year term for every duration Namecheap reports (its per-year MULTIPLE prices are multiplied by N). Output mirrors OpenProvider structure with regular-price and sale-price maps.',
       },
       data,
     };
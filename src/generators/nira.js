@@ -31,24 +31,27 @@ export const niraGenerator = createRegistrarPriceGenerator({
   label: 'NIRA',
   defaultOutput: 'nira-prices.json',
   async generate({ env = {}, options = {}, logger, signal } = {}) {
-    const ratesPath = options.exchangeRatesPath || env.EXCHANGE_RATES_PATH || 'data/exchange-rates.json';
-    const resolvedRatesPath = path.resolve(process.cwd(), ratesPath);
-    logger({ level: 'info', message: `Reading exchange rates from ${resolvedRatesPath}` });
+    let entries = options.exchangeRates;
+    if (!Array.isArray(entries)) {
+      const ratesPath = options.exchangeRatesPath || env.EXCHANGE_RATES_PATH || 'data/exchange-rates.json';
+      const resolvedRatesPath = path.resolve(process.cwd(), ratesPath);
+      logger({ level: 'info', message: `Reading exchange rates from ${resolvedRatesPath}` });
+      try {
+        const raw = await fs.readFile(resolvedRatesPath, 'utf8');
+        entries = JSON.parse(raw);
+      } catch (err) {
+        const e = new Error(`Failed to read exchange rates at ${resolvedRatesPath}: ${err.message}`);
+        e.cause = err;
+        throw e;
+      }
+    }
     let ngnPerUsd;
-    try {
-      const raw = await fs.readFile(resolvedRatesPath, 'utf8');
-      const entries = JSON.parse(raw);
-      // entries is an array of { countryCode, currencyName, currencySymbol, currencyCode, exchangeRate, inverseRate }
-      for (const entry of entries) {
-        if ((entry.currencyCode || '').toUpperCase() === 'NGN') {
-          ngnPerUsd = entry.exchangeRate;
-          break;
-        }
+    // entries is an array of { countryCode, currencyName, currencySymbol, currencyCode, exchangeRate, inverseRate }
+    for (const entry of entries) {
+      if ((entry.currencyCode || '').toUpperCase() === 'NGN') {
+        ngnPerUsd = entry.exchangeRate;
+        break;
       }
-    } catch (err) {
-      const e = new Error(`Failed to read exchange rates at ${resolvedRatesPath}: ${err.message}`);
-      e.cause = err;
-      throw e;
     }
     if (!ngnPerUsd || !Number.isFinite(ngnPerUsd)) {
       throw new Error('Could not determine NGN per USD from exchange-rates.json.');
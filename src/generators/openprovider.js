@@ -3,6 +3,7 @@ import { createRegistrarPriceGenerator } from '../registrar-generator.js';
 import { fetchWithRetry } from '../http.js';
 
 const DEFAULT_SHEET_URL = 'https://docs.google.com/spreadsheets/d/1fHBHaxICLF7yhyEI5ir4jvY4H5h4nSa-aIgSMaP0500/edit?gid=1726709886#gid=1726709886';
+const DEFAULT_CURRENCY = 'USD';
 const REQUIRED_HEADERS = [
   'TLD',
   'Years',
@@ -12,6 +13,15 @@ const REQUIRED_HEADERS = [
   'Supreme',
 ];
 
+const PROMO_HEADER = 'Promo Price';
+// Membership tiers and the sheet column that prices each of them.
+const MEMBERSHIP_TIERS = [
+  { tier: 'basic', header: 'Basic \\ Pro \\ Expert' },
+  { tier: 'pro', header: 'Basic \\ Pro \\ Expert' },
+  { tier: 'expert', header: 'Basic \\ Pro \\ Expert' },
+  { tier: 'supreme', header: 'Supreme' },
+];
+
 const normalizeHeader = (value) => String(value ?? '').replace(/\uFEFF/g, '').trim();
 
 function resolveCsvExportUrl(url) {
@@ -51,6 +61,37 @@ function parsePrice(raw) {
   return Number.isFinite(n) ? n : null;
 }
 
+function toIsoDate(year, month, day) {
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (Number.isNaN(date.getTime()) || date.getUTCDate() !== Number(day)) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Promo cells hold a price, an end date, or both (e.g. "4.99 until 31-12-2025").
+ * Dates are read as YYYY-MM-DD or day-first DD-MM-YYYY (the sheet is European).
+ */
+function parsePromoCell(raw) {
+  let text = String(raw ?? '').trim();
+  let endsAt = null;
+  const iso = text.match(/(\d{4})-(\d{1,2})-(\d{1,2})/);
+  const dayFirst = text.match(/(\d{1,2})[./-](\d{1,2})[./-](\d{4})/);
+  if (iso) {
+    endsAt = toIsoDate(iso[1], iso[2], iso[3]);
+    text = text.replace(iso[0], '');
+  } else if (dayFirst) {
+    endsAt = toIsoDate(dayFirst[3], dayFirst[2], dayFirst[1]);
+    text = text.replace(dayFirst[0], '');
+  }
+  return { price: parsePrice(text), endsAt };
+}
+
+// Member columns say "non-member price" when the tier gets no discount.
+function parseMemberPrice(raw, nonMember) {
+  const cell = String(raw ?? '').trim();
+  return /^non[-\s]?member price$/i.test(cell) ? nonMember : parsePrice(cell);
+}
+
 function toInt(value) {
   if (value === undefined || value === null) return null;
   const n = Number(String(value).trim());
@@ -67,6 +108,18 @@ function sortObjectKeys(obj) {
   return out;
 }
 
+// Per-year tables are keyed operation -> years -> total price of the term, e.g.
+// { create: { 1: 8.27, 2: 16.54 } }; the sheet's `Years` rows quote the whole term.
+function setYearPrice(table, op, years, price) {
+  if (!table[op]) table[op] = {};
+  table[op][years] = price;
+}
+
+function setPromo(entry, key, op, value) {
+  if (!entry[key]) entry[key] = {};
+  entry[key][op] = value;
+}
+
 function inferColumns(headerRow) {
   for (const required of REQUIRED_HEADERS) {
     if (!headerRow.includes(required)) {
@@ -81,6 +134,8 @@ function inferColumns(headerRow) {
     operation: headerRow.indexOf('Operation'),
     price: headerRow.indexOf('Price'),
     member: headerRow.indexOf('Basic \\ Pro \\ Expert'),
+    tiers: Object.fromEntries(MEMBERSHIP_TIERS.map(({ tier, header }) => [tier, headerRow.indexOf(header)])),
+    promos: headerRow.flatMap((header, index) => (header === PROMO_HEADER ? [index] : [])),
   };
 }
 
@@ -88,8 +143,11 @@ export const openproviderGenerator = createRegistrarPriceGenerator({
   id: 'openprovider',
   label: 'OpenProvider',
   defaultOutput: 'openprovider-prices.json',
+  defaultCurrency: DEFAULT_CURRENCY,
   async generate({ env = {}, options = {}, logger, signal } = {}) {
     const sheetUrl = options.sheetUrl || env.OPENPROVIDER_SHEET_URL || DEFAULT_SHEET_URL;
+    // The public sheet does not state its currency, so it is configured explicitly.
+    const currency = String(options.currency || env.OPENPROVIDER_CURRENCY || DEFAULT_CURRENCY).trim().toUpperCase();
     const csvUrl = resolveCsvExportUrl(sheetUrl);
     logger({ level: 'info', message: `Fetching OpenProvider CSV from ${csvUrl}` });
     const res = await fetchWithRetry(csvUrl, { retries: 4, backoffMs: 700, signal, logger });
@@ -119,18 +177,46 @@ export const openproviderGenerator = createRegistrarPriceGenerator({
       const op = String(rawRow[columns.operation] ?? '').trim().toLowerCase();
       if (!tld || years === null || !op) continue;
       const nonMember = parsePrice(rawRow[columns.price]);
-      const memberCell = String(rawRow[columns.member] ?? '').trim();
-      const member = (/^non[-\s]?member price$/i.test(memberCell)) ? nonMember : parsePrice(memberCell);
+      const member = parseMemberPrice(rawRow[columns.member], nonMember);
       if (!data[tld]) {
-        data[tld] = { maxYears: 0, 'regular-price': {}, 'member-price': {} };
+        data[tld] = {
+          maxYears: 0,
+          'regular-price': {},
+          'member-price': {},
+          'membership-price': {},
+          'regular-price-by-years': {},
+          'member-price-by-years': {},
+        };
       }
       if (nonMember !== null || member !== null) {
         data[tld].maxYears = Math.max(data[tld].maxYears, years);
       }
+      if (years >= 1) {
+        if (nonMember !== null) setYearPrice(data[tld]['regular-price-by-years'], op, years, nonMember);
+        if (member !== null) setYearPrice(data[tld]['member-price-by-years'], op, years, member);
+      }
       if (years === 1) {
         if (nonMember !== null) data[tld]['regular-price'][op] = nonMember;
         if (member !== null) data[tld]['member-price'][op] = member;
         flat.push({ tld, years, operation: op, 'regular-price': nonMember, 'member-price': member });
+
+        for (const { tier } of MEMBERSHIP_TIERS) {
+          const tierPrice = parseMemberPrice(rawRow[columns.tiers[tier]], nonMember);
+          if (tierPrice === null) continue;
+          const tierMap = data[tld]['membership-price'];
+          if (!tierMap[tier]) tierMap[tier] = {};
+          tierMap[tier][op] = tierPrice;
+        }
+
+        // The first promo price applies to regular customers, a second one to members.
+        const promoCells = columns.promos.map((index) => parsePromoCell(rawRow[index]));
+        const promoPrices = promoCells.map((cell) => cell.price).filter((price) => price !== null);
+        const promoEndsAt = promoCells.map((cell) => cell.endsAt).find(Boolean) || null;
+        if (promoPrices.length) {
+          setPromo(data[tld], 'promo-price', op, promoPrices[0]);
+          if (promoPrices.length > 1) setPromo(data[tld], 'member-promo-price', op, promoPrices[1]);
+          if (promoEndsAt) setPromo(data[tld], 'promo-expires', op, promoEndsAt);
+        }
       }
 
       if (years === 1 && op === 'update') {
@@ -157,24 +243,37 @@ export const openproviderGenerator = createRegistrarPriceGenerator({
       const entry = data[tld] || {};
       const regular = sortObjectKeys(entry['regular-price'] || {});
       const member = sortObjectKeys(entry['member-price'] || {});
-      sortedData[tld] = {
+      const sortedEntry = {
         maxYears: entry.maxYears ?? 0,
         'member-price': member,
+        'member-price-by-years': sortObjectKeys(entry['member-price-by-years'] || {}),
+        'membership-price': sortObjectKeys(entry['membership-price'] || {}),
         'regular-price': regular,
+        'regular-price-by-years': sortObjectKeys(entry['regular-price-by-years'] || {}),
       };
+      // Promo maps are only present for TLDs that currently have a promotion.
+      for (const key of ['member-promo-price', 'promo-expires', 'promo-price']) {
+        if (entry[key]) sortedEntry[key] = entry[key];
+      }
+      sortedData[tld] = sortObjectKeys(sortedEntry);
     }
 
     return {
       meta: {
         source: csvUrl,
+        currency,
         generated_at: new Date().toISOString(),
         header_row_index: headerIndex,
         data_start_index: headerIndex + 1,
         rows_processed: dataRows.length,
         rows_emitted_year1: filteredFlat.length,
+        promo_columns: columns.promos.length,
+        tlds_with_promo: Object.values(sortedData).filter((entry) => entry['promo-price']).length,
         headers_original: records[headerIndex] || [],
         required_headers: REQUIRED_HEADERS,
+        membership_tiers: MEMBERSHIP_TIERS.map(({ tier }) => tier),
         tlds_excluded_update_price_gt_zero: Array.from(excludedTlds).sort(),
+        notes: 'Operation maps hold year=1 prices; *-by-years tables hold the total price of an N-year term for every Years row in the sheet.',
       },
       data: sortedData,
     };
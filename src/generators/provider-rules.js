@@ -0,0 +1,167 @@
+/**
+ * Provider rules for the unified builders. They narrow or override the
+ * cheapest-wins choice per TLD:
+ *
+ * - `pin`     TLD pattern -> provider that always wins when it prices the TLD
+ * - `block`   provider -> TLD patterns it must never win (or compete) for
+ * - `prefer`  `{ provider, tolerancePercent, tlds? }` (or an ordered array of
+ *             them): the provider wins unless another is more than
+ *             tolerancePercent cheaper
+ *
+ * TLD patterns are exact TLDs (`ng`, `com.ng`) or globs where `*` matches any
+ * run of characters (`*.uk`, `*`). For pins the most specific pattern wins:
+ * an exact TLD beats a glob, and a longer glob beats a shorter one.
+ *
+ * Every choice carries a human-readable reason (`cheapest`, `pinned to nira
+ * for *.ng`, ...) that the builders copy onto their output.
+ */
+
+/**
+ * @typedef {Object} ProviderPreference
+ * @property {string} provider
+ * @property {number} tolerancePercent
+ * @property {string[]} [tlds] patterns the preference applies to (default: all)
+ *
+ * @typedef {Object} ProviderRules
+ * @property {Record<string, string>} [pin]
+ * @property {Record<string, string[]>} [block]
+ * @property {ProviderPreference | ProviderPreference[]} [prefer]
+ */
+
+function providerRulesError(message) {
+  const err = new Error(message);
+  err.code = 'EPROVIDERRULES';
+  return err;
+}
+
+function patternToRegExp(pattern) {
+  const escaped = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`);
+}
+
+/**
+ * Whether a TLD matches an exact TLD or `*` glob pattern (case-insensitive,
+ * leading dots ignored).
+ * @param {string} pattern
+ * @param {string} tld
+ */
+export function matchesTldPattern(pattern, tld) {
+  const normalize = (value) => String(value || '').trim().toLowerCase().replace(/^\.+/, '');
+  const p = normalize(pattern);
+  const t = normalize(tld);
+  if (!p.includes('*')) return p === t;
+  return patternToRegExp(p).test(t);
+}
+
+function patternSpecificity(pattern) {
+  // Exact TLDs outrank any glob; longer globs outrank shorter ones.
+  return pattern.includes('*') ? pattern.replace(/\*/g, '').length : Number.MAX_SAFE_INTEGER;
+}
+
+function toPatternList(value, where) {
+  const list = Array.isArray(value) ? value : [value];
+  if (!list.length || list.some((p) => typeof p !== 'string' || !p.trim())) {
+    throw providerRulesError(`${where} must be a TLD pattern or a list of TLD patterns`);
+  }
+  return list.map((p) => p.trim());
+}
+
+/**
+ * Validate provider rules and return them in a normalized form.
+ *
+ * @param {ProviderRules} [rules]
+ * @returns {{ pins: Array<{ pattern: string, provider: string }>, blocks: Array<{ provider: string, patterns: string[] }>, preferences: Array<{ provider: string, tolerancePercent: number, patterns: string[] }> }}
+ */
+export function normalizeProviderRules(rules = {}) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw providerRulesError('Provider rules must be an object');
+  }
+  for (const key of Object.keys(rules)) {
+    if (!['pin', 'block', 'prefer'].includes(key)) {
+      throw providerRulesError(`Unknown provider rules section "${key}" (expected pin, block, prefer)`);
+    }
+  }
+  const pins = Object.entries(rules.pin || {}).map(([pattern, provider]) => {
+    if (typeof provider !== 'string' || !provider) throw providerRulesError(`pin.${pattern} must name a provider`);
+    return { pattern, provider };
+  });
+  pins.sort((a, b) => patternSpecificity(b.pattern) - patternSpecificity(a.pattern));
+  const blocks = Object.entries(rules.block || {}).map(([provider, patterns]) => ({
+    provider,
+    patterns: toPatternList(patterns, `block.${provider}`),
+  }));
+  const preferList = rules.prefer === undefined ? [] : Array.isArray(rules.prefer) ? rules.prefer : [rules.prefer];
+  const preferences = preferList.map((pref, i) => {
+    if (!pref || typeof pref.provider !== 'string' || !pref.provider) {
+      throw providerRulesError(`prefer[${i}] must name a provider`);
+    }
+    const tolerancePercent = Number(pref.tolerancePercent ?? 0);
+    if (!Number.isFinite(tolerancePercent) || tolerancePercent < 0) {
+      throw providerRulesError(`prefer[${i}].tolerancePercent must be a non-negative number`);
+    }
+    const patterns = pref.tlds === undefined ? ['*'] : toPatternList(pref.tlds, `prefer[${i}].tlds`);
+    return { provider: pref.provider, tolerancePercent, patterns };
+  });
+  return { pins, blocks, preferences };
+}
+
+function isBlocked(rules, provider, tld) {
+  return rules.blocks.some((block) => block.provider === provider && block.patterns.some((p) => matchesTldPattern(p, tld)));
+}
+
+function lowest(scored) {
+  let best = null;
+  for (const entry of scored) {
+    if (!best || entry.score < best.score || (entry.score === best.score && String(entry.candidate.provider) < String(best.candidate.provider))) {
+      best = entry;
+    }
+  }
+  return best;
+}
+
+/**
+ * Pick the winning candidate for a TLD under the provider rules.
+ *
+ * @template {{ provider: string }} T
+ * @param {string} tld
+ * @param {T[]} candidates
+ * @param {(candidate: T) => number} score lower is better
+ * @param {ReturnType<typeof normalizeProviderRules>} [rules]
+ * @returns {{ candidate: T, score: number, reason: string } | null}
+ */
+export function chooseProvider(tld, candidates, score, rules) {
+  const scored = candidates.map((candidate) => ({ candidate, score: score(candidate) }));
+  if (!rules) {
+    const best = lowest(scored);
+    return best && { ...best, reason: 'cheapest' };
+  }
+
+  const notes = [];
+  const pin = rules.pins.find((entry) => matchesTldPattern(entry.pattern, tld));
+  if (pin) {
+    const pinned = scored.find((entry) => entry.candidate.provider === pin.provider && Number.isFinite(entry.score));
+    if (pinned) return { ...pinned, reason: `pinned to ${pin.provider} for ${pin.pattern}` };
+    notes.push(`pinned ${pin.provider} has no price`);
+  }
+
+  const blocked = scored.filter((entry) => isBlocked(rules, entry.candidate.provider, tld));
+  const allowed = scored.filter((entry) => !blocked.includes(entry));
+  if (blocked.length) notes.push(`blocked ${blocked.map((entry) => entry.candidate.provider).sort().join(' ')}`);
+  const cheapest = lowest(allowed);
+  if (!cheapest) return null;
+
+  for (const pref of rules.preferences) {
+    if (!pref.patterns.some((p) => matchesTldPattern(p, tld))) continue;
+    const preferred = allowed.find((entry) => entry.candidate.provider === pref.provider);
+    if (!preferred || !Number.isFinite(preferred.score)) continue;
+    // The first applicable preference that is already cheapest needs no override.
+    if (preferred === cheapest) break;
+    if (preferred.score <= cheapest.score * (1 + pref.tolerancePercent / 100)) {
+      const premium = cheapest.score > 0 ? ((preferred.score - cheapest.score) / cheapest.score) * 100 : 0;
+      const reason = `preferred ${pref.provider} within ${pref.tolerancePercent}% of ${cheapest.candidate.provider} (+${premium.toFixed(1)}%)`;
+      return { ...preferred, reason: [reason, ...notes].join('; ') };
+    }
+    notes.push(`${cheapest.candidate.provider} more than ${pref.tolerancePercent}% cheaper than preferred ${pref.provider}`);
+  }
+  return { ...cheapest, reason: ['cheapest', ...notes].join('; ') };
+}
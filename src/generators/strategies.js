@@ -0,0 +1,123 @@
+/**
+ * Selection strategies for the unified list. A strategy turns a candidate's
+ * price map (operation -> price, already in the comparison currency) into a
+ * single number; the candidate with the lowest metric wins.
+ *
+ * Built-in specs:
+ * - `create`   cheapest create price (default; falls back to the cheapest operation)
+ * - `renew`    cheapest renew price (falls back to the cheapest operation)
+ * - `tco:N`    cheapest N-year cost: create + (N - 1) renewals
+ * - `weighted:create=1,renew=2`  weighted sum of operation prices
+ *
+ * Custom strategies can be passed as `{ name, metric(prices) }` objects.
+ */
+
+/**
+ * @typedef {Object} SelectionStrategy
+ * @property {string} name label recorded on unified entries
+ * @property {(prices: Record<string, number>) => number} metric
+ *   Lower is better; return Infinity when the candidate cannot be scored.
+ */
+
+function minPrice(prices) {
+  let min = Number.POSITIVE_INFINITY;
+  for (const v of Object.values(prices || {})) {
+    const n = Number(v);
+    if (Number.isFinite(n) && n < min) min = n;
+  }
+  return min;
+}
+
+function cheapestOperation(op) {
+  return {
+    name: op,
+    metric(prices) {
+      // Prefer the operation when present; else use the minimum among values
+      if (!prices || typeof prices !== 'object') return Number.POSITIVE_INFINITY;
+      if (Number.isFinite(prices[op])) return Number(prices[op]);
+      return minPrice(prices);
+    },
+  };
+}
+
+function totalCostOfOwnership(years) {
+  return {
+    name: `tco:${years}`,
+    metric(prices) {
+      const create = Number(prices?.create);
+      if (!Number.isFinite(create)) return Number.POSITIVE_INFINITY;
+      if (years === 1) return create;
+      const renew = Number(prices?.renew);
+      if (!Number.isFinite(renew)) return Number.POSITIVE_INFINITY;
+      return create + (years - 1) * renew;
+    },
+  };
+}
+
+function weightedBlend(weights) {
+  const entries = Object.entries(weights).filter(([, w]) => w !== 0);
+  return {
+    name: `weighted:${entries.map(([op, w]) => `${op}=${w}`).join(',')}`,
+    metric(prices) {
+      let total = 0;
+      for (const [op, weight] of entries) {
+        const price = Number(prices?.[op]);
+        if (!Number.isFinite(price)) return Number.POSITIVE_INFINITY;
+        total += weight * price;
+      }
+      return total;
+    },
+  };
+}
+
+function strategyError(message) {
+  const err = new Error(message);
+  err.code = 'ESTRATEGY';
+  return err;
+}
+
+function parseWeights(text) {
+  const weights = {};
+  for (const pair of String(text || '').split(',')) {
+    const [op, raw] = pair.split('=').map((part) => (part || '').trim());
+    const weight = Number(raw);
+    if (!op || raw === '' || !Number.isFinite(weight) || weight < 0) {
+      throw strategyError(`Invalid weight "${pair}" in weighted strategy`);
+    }
+    weights[op] = weight;
+  }
+  if (!Object.values(weights).some((w) => w > 0)) {
+    throw strategyError('Weighted strategy needs at least one positive weight');
+  }
+  return weights;
+}
+
+/**
+ * Turn a strategy spec (string, object or custom strategy) into a strategy.
+ *
+ * @param {string | SelectionStrategy | { type: 'create'|'renew'|'tco'|'weighted', years?: number, weights?: Record<string, number> }} [spec]
+ * @returns {SelectionStrategy}
+ */
+export function resolveSelectionStrategy(spec = 'create') {
+  if (spec && typeof spec === 'object' && typeof spec.metric === 'function') {
+    return { name: spec.name || 'custom', metric: spec.metric };
+  }
+  if (spec && typeof spec === 'object') {
+    if (spec.type === 'tco') return resolveSelectionStrategy(`tco:${spec.years}`);
+    if (spec.type === 'weighted') return weightedBlend(parseWeights(Object.entries(spec.weights || {}).map(([op, w]) => `${op}=${w}`).join(',')));
+    return resolveSelectionStrategy(spec.type);
+  }
+  const text = String(spec).trim();
+  const [type, arg] = text.includes(':') ? [text.slice(0, text.indexOf(':')), text.slice(text.indexOf(':') + 1)] : [text, ''];
+  if (type === 'create' || type === 'cheapest-create') return cheapestOperation('create');
+  if (type === 'renew' || type === 'cheapest-renew') return cheapestOperation('renew');
+  if (type === 'tco') {
+    const years = Number(arg);
+    if (!Number.isInteger(years) || years < 1) throw strategyError(`Invalid year count in strategy "${text}"`);
+    return totalCostOfOwnership(years);
+  }
+  if (type === 'weighted') return weightedBlend(parseWeights(arg));
+  throw strategyError(`Unknown selection strategy: ${text} (expected create, renew, tco:<years> or weighted:<op>=<weight>,...)`);
+}
+
+export default resolveSelectionStrategy;
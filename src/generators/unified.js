@@ -3,16 +3,39 @@
  * a single JSON array of TLD entries. Each entry contains:
  * - provider: registrar id
  * - tld: TLD string
- * - regular-price: map of operations to numeric prices (year=1)
+ * - currency: comparison currency the prices are expressed in
+ * - regular-price: map of operations to numeric prices (year=1) that were compared
+ * - price-tier: operation -> source map, present when a price tier was selected
+ * - original-currency / original-price: the provider's own currency and prices
+ * - exchange-rate: rate applied to convert original-price into currency
+ * - selection-strategy / selection-metric: how the winner was picked and its score
+ * - selection-reason: why the provider won (cheapest, pinned, preferred, ...)
+ * - stale-since: present when the provider's run failed and its last good
+ *   snapshot (generated at this date) was used instead (`meta.fallback`)
  *
  * Rules:
- * - If a TLD appears in multiple sources, pick the provider with the
- *   cheapest create price when available; otherwise choose the minimum
- *   price among available operations.
- * - Only regular-price maps are considered; member/sale/etc. are ignored.
+ * - Every candidate is converted into the comparison currency (USD unless
+ *   overridden) using exchange-rates.json records before being compared.
+ * - If a TLD appears in multiple sources, pick the provider with the lowest
+ *   metric under the selection strategy (see strategies.js). The default
+ *   strategy uses the cheapest create price when available; otherwise the
+ *   minimum price among available operations.
+ * - regular-price maps are compared unless `priceTiers` picks another map per
+ *   provider (e.g. `sale-price`, `member-price`, `membership-price.supreme`) or
+ *   `membershipTiers` names the tier the account is on. Operations missing from
+ *   the chosen map fall back to regular-price.
+ *   With the `promos` option, currently-valid `promo-price` entries compete
+ *   with the regular price of the same operation.
+ * - `providerRules` can pin TLDs to a provider, block providers per TLD and
+ *   prefer a provider within a price tolerance (see provider-rules.js).
  * - Output keys are deterministically sorted to avoid noisy diffs.
  */
 
+import { BASE_CURRENCY, buildRateTable, currencyPrecision, getConversionRate, normalizeCurrencyCode, round2, roundTo } from '../currency.js';
+import { escapeCsvField } from '../csv.js';
+import { chooseProvider, normalizeProviderRules } from './provider-rules.js';
+import { resolveSelectionStrategy } from './strategies.js';
+
 function sortObjectKeys(obj) {
   if (obj === null || typeof obj !== 'object') return obj;
   if (Array.isArray(obj)) return obj.map(sortObjectKeys);
@@ -34,10 +57,124 @@ function normalizeRegularPriceMap(map) {
   return sortObjectKeys(out);
 }
 
+function normalizeYearTable(table) {
+  const out = {};
+  if (!table || typeof table !== 'object') return out;
+  for (const [op, byYears] of Object.entries(table)) {
+    if (!byYears || typeof byYears !== 'object') continue;
+    const years = {};
+    for (const [count, v] of Object.entries(byYears)) {
+      const n = Number(v);
+      if (Number.isInteger(Number(count)) && Number(count) > 0 && Number.isFinite(n)) years[count] = n;
+    }
+    if (Object.keys(years).length > 0) out[op] = years;
+  }
+  return sortObjectKeys(out);
+}
+
+function toDateKey(value) {
+  const date = value instanceof Date ? value : new Date(value ?? Date.now());
+  if (Number.isNaN(date.getTime())) throw new TypeError(`Invalid promo reference date: ${value}`);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Promo prices whose `promo-expires` date (if any) has not passed on `today`.
+ * @returns {{ prices: Record<string, number>, expires: Record<string, string> }}
+ */
+function collectActivePromos(entry, today) {
+  const prices = {};
+  const expires = {};
+  const promo = normalizeRegularPriceMap(entry?.['promo-price']);
+  for (const [op, price] of Object.entries(promo)) {
+    const endsAt = entry?.['promo-expires']?.[op];
+    if (endsAt && String(endsAt) < today) continue;
+    prices[op] = price;
+    if (endsAt) expires[op] = String(endsAt);
+  }
+  return { prices, expires };
+}
+
+function promoApplies(candidate, op) {
+  const promo = candidate['promo-price']?.[op];
+  if (!Number.isFinite(promo)) return false;
+  const base = candidate['regular-price'][op];
+  return !Number.isFinite(base) || promo < base;
+}
+
+/** Prices a candidate competes with: selected prices, undercut by any active promo. */
+function effectivePriceMap(candidate) {
+  const promo = candidate['promo-price'];
+  if (!promo) return candidate['regular-price'];
+  const out = { ...candidate['regular-price'] };
+  for (const [op, price] of Object.entries(promo)) {
+    if (promoApplies(candidate, op)) out[op] = price;
+  }
+  return out;
+}
+
+/** Name of the price map the candidate's effective price for `op` came from. */
+function priceTierFor(candidate, op) {
+  if (promoApplies(candidate, op)) return 'promo-price';
+  return candidate['price-tier']?.[op] || 'regular-price';
+}
+
+function tierError(message) {
+  const err = new Error(message);
+  err.code = 'ETIER';
+  return err;
+}
+
+/**
+ * Resolve the price map a provider contributes: an explicit `priceTiers` entry
+ * (dotted for maps nested by tier name) or its membership tier.
+ * @returns {{ label: string, pick: (entry: any) => any } | null}
+ */
+function resolveTierSelection(provider, result, options) {
+  const tier = options.priceTiers?.[provider];
+  if (tier && options.membershipTiers?.[provider]) {
+    throw tierError(`Provider "${provider}" has both a price tier and a membership tier selected; pick one`);
+  }
+  if (!tier) return resolveMembershipSelection(provider, result, options);
+  if (tier === 'regular-price') return null;
+  const [key, sub] = String(tier).split('.');
+  const pick = sub ? (entry) => entry?.[key]?.[sub] : (entry) => entry?.[key];
+  const offered = Object.values(result.data).some((entry) => Object.keys(normalizeRegularPriceMap(pick(entry))).length > 0);
+  if (!offered) throw tierError(`Provider "${provider}" has no "${tier}" prices`);
+  return { label: tier, pick };
+}
+
+/**
+ * Resolve the membership tier a provider's prices should be read from.
+ * @returns {{ label: string, pick: (entry: any) => any } | null}
+ */
+function resolveMembershipSelection(provider, result, options) {
+  const tier = options.membershipTiers?.[provider];
+  if (!tier) return null;
+  const known = Array.isArray(result?.meta?.membership_tiers) ? result.meta.membership_tiers : [];
+  if (!known.includes(tier)) {
+    const expected = known.length ? `expected one of ${known.join(', ')}` : 'provider has no membership tiers';
+    throw tierError(`Unknown membership tier "${tier}" for provider "${provider}" (${expected})`);
+  }
+  return { label: `membership-price.${tier}`, pick: (entry) => entry?.['membership-price']?.[tier] };
+}
+
+/** Prices for an entry under the given selection, falling back to regular-price per operation. */
+function selectTierPrices(entry, selection) {
+  const regular = normalizeRegularPriceMap(entry?.['regular-price']);
+  if (!selection) return { prices: regular, tiers: null };
+  const chosen = normalizeRegularPriceMap(selection.pick(entry));
+  const prices = sortObjectKeys({ ...regular, ...chosen });
+  const tiers = {};
+  for (const op of Object.keys(prices)) {
+    tiers[op] = Object.prototype.hasOwnProperty.call(chosen, op) ? selection.label : 'regular-price';
+  }
+  return { prices, tiers };
+}
+
 function deriveBaseCurrency(result) {
-  const raw = result?.meta?.currency;
-  if (typeof raw === 'string' && raw.trim()) return raw.trim().toUpperCase();
-  return null;
+  // NIRA records its output currency as data_currency; other generators use currency.
+  return normalizeCurrencyCode(result?.meta?.currency) || normalizeCurrencyCode(result?.meta?.data_currency);
 }
 
 function collectCurrencyRegularPriceMaps(result, tld) {
@@ -55,16 +192,100 @@ function collectCurrencyRegularPriceMaps(result, tld) {
   return extras;
 }
 
-function cheapestMetric(regularMap) {
-  // Prefer create price when present; else use the minimum among values
-  if (!regularMap || typeof regularMap !== 'object') return Number.POSITIVE_INFINITY;
-  if (Number.isFinite(regularMap.create)) return Number(regularMap.create);
-  let min = Number.POSITIVE_INFINITY;
-  for (const v of Object.values(regularMap)) {
-    const n = Number(v);
-    if (Number.isFinite(n) && n < min) min = n;
+function convertPriceMap(map, rate) {
+  if (rate === 1) return { ...map };
+  const out = {};
+  for (const [op, v] of Object.entries(map)) {
+    out[op] = round2(v * rate);
+  }
+  return out;
+}
+
+function convertYearTable(table, rate) {
+  const out = {};
+  for (const [op, byYears] of Object.entries(table)) {
+    out[op] = convertPriceMap(byYears, rate);
   }
-  return min;
+  return out;
+}
+
+/**
+ * Resolve the comparison currency and rate table shared by the unified builders.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.comparisonCurrency='USD']
+ * @param {Array<{ currencyCode: string, exchangeRate: number }>} [options.exchangeRates]
+ *   Records produced by the exchange rates generator (exchange-rates.json).
+ */
+function resolveCurrencyContext(options = {}) {
+  const target = options.comparisonCurrency == null
+    ? BASE_CURRENCY
+    : normalizeCurrencyCode(options.comparisonCurrency);
+  if (!target) {
+    const err = new Error(`Invalid comparison currency: ${options.comparisonCurrency}`);
+    err.code = 'ECURRENCY';
+    throw err;
+  }
+  return { target, rates: buildRateTable(options.exchangeRates) };
+}
+
+/**
+ * Resolve the extra currencies rows are derived into from the comparison
+ * currency, with the rate and rounding precision for each.
+ *
+ * @param {Object} options
+ * @param {string[]} [options.localCurrencies]
+ * @param {Record<string, number>} [options.currencyPrecision]
+ * @param {{ target: string, rates: Map<string, number> }} context
+ * @returns {Array<{ code: string, rate: number, decimals: number }>}
+ */
+function resolveLocalCurrencies(options, { target, rates }) {
+  const locals = [];
+  const overrides = {};
+  for (const [raw, decimals] of Object.entries(options.currencyPrecision || {})) {
+    const code = normalizeCurrencyCode(raw);
+    if (!code || !Number.isInteger(decimals)) {
+      const err = new Error(`Invalid currency precision ${raw}=${decimals}: expected a currency code and an integer`);
+      err.code = 'ECURRENCY';
+      throw err;
+    }
+    overrides[code] = decimals;
+  }
+  for (const raw of options.localCurrencies || []) {
+    const code = normalizeCurrencyCode(raw);
+    if (!code) {
+      const err = new Error(`Invalid local currency: ${raw}`);
+      err.code = 'ECURRENCY';
+      throw err;
+    }
+    if (code === target || locals.some((local) => local.code === code)) continue;
+    locals.push({ code, rate: getConversionRate(rates, target, code), decimals: currencyPrecision(code, overrides) });
+  }
+  return locals.sort((a, b) => (a.code < b.code ? -1 : a.code > b.code ? 1 : 0));
+}
+
+function resolveProviderRules(options) {
+  return options.providerRules ? normalizeProviderRules(options.providerRules) : null;
+}
+
+// Providers whose fresh run failed and whose previous snapshot stands in,
+// mapped to when that snapshot was generated.
+function resolveStaleProviders(resultsByRegistrar) {
+  const stale = {};
+  for (const [id, result] of Object.entries(resultsByRegistrar || {})) {
+    if (result?.meta?.fallback) stale[id] = result.meta.fallback.generated_at || 'unknown';
+  }
+  return stale;
+}
+
+function withStaleNote(reason, provider, stale) {
+  return stale[provider] ? `${reason}; stale snapshot from ${stale[provider]}` : reason;
+}
+
+function deriveLocalRows(row, locals, skip) {
+  return locals
+    .filter((local) => !skip.has(local.code))
+    .map((local) => ({ ...row, currency: local.code, amount: roundTo(row.amount * local.rate, local.decimals) }));
 }
 
 /**
@@ -75,52 +296,54 @@ function cheapestMetric(regularMap) {
  * @param {Object} [options]
  * @param {string[]} [options.providers]
  *   Optional subset of registrar ids to include; defaults to all in results.
- * @returns {Array<{ provider: string, tld: string, 'regular-price': Record<string, number> }>} unified list
+ * @param {string} [options.comparisonCurrency='USD']
+ *   Currency every candidate is converted into before picking a winner.
+ * @param {Array<{ currencyCode: string, exchangeRate: number }>} [options.exchangeRates]
+ *   Exchange rate records used for conversion. Required whenever a provider
+ *   reports a currency other than the comparison currency.
+ * @param {boolean} [options.multiYear=false]
+ *   Attach the winner's `regular-price-by-years` table (operation -> years ->
+ *   total price of the term).
+ * @param {boolean} [options.promos=false]
+ *   Let currently-valid `promo-price` entries compete with regular prices. Active
+ *   promos are attached as `promo-price` / `promo-expires` on the candidate.
+ * @param {Date|string} [options.now]
+ *   Reference date for promo validity; defaults to the current date.
+ * @param {string | import('./strategies.js').SelectionStrategy | Object} [options.strategy='create']
+ *   Winner selection strategy: `create`, `renew`, `tco:<years>`,
+ *   `weighted:<op>=<weight>,...` or a custom `{ name, metric }` strategy.
+ * @param {Record<string, string>} [options.priceTiers]
+ *   Provider id -> price map to compare instead of regular-price, e.g.
+ *   `{ namecheap: 'sale-price', openprovider: 'member-price' }`. Use a dotted
+ *   name for maps nested by tier (`membership-price.supreme`).
+ * @param {Record<string, string>} [options.membershipTiers]
+ *   Provider id -> membership tier the account is on (e.g. `{ openprovider: 'supreme' }`).
+ *   The tier must be listed in the provider's `meta.membership_tiers`.
+ * @param {import('./provider-rules.js').ProviderRules} [options.providerRules]
+ *   Pin, block and prefer rules applied on top of the selection strategy.
+ * @returns {Array<{ provider: string, tld: string, currency: string, 'regular-price': Record<string, number> }>} unified list
  */
 export function generateUnifiedList(resultsByRegistrar, options = {}) {
-  const include = (options.providers && options.providers.length)
-    ? options.providers
-    : Object.keys(resultsByRegistrar || {});
-
-  /** @type {Record<string, { provider: string, tld: string, 'regular-price': Record<string, number> }[]>} */
-  const candidatesByTld = {};
+  const candidatesByTld = collectCandidatesByTld(resultsByRegistrar, options.providers, options);
+  const strategy = resolveSelectionStrategy(options.strategy);
+  const rules = resolveProviderRules(options);
+  const stale = resolveStaleProviders(resultsByRegistrar);
 
-  for (const provider of include) {
-    const result = resultsByRegistrar[provider];
-    if (!result || !result.data || typeof result.data !== 'object') continue;
-    const baseCurrency = deriveBaseCurrency(result) || undefined;
-    for (const [tld, entry] of Object.entries(result.data)) {
-      const regular = normalizeRegularPriceMap(entry?.['regular-price']);
-      if (!regular || Object.keys(regular).length === 0) continue;
-      if (!candidatesByTld[tld]) candidatesByTld[tld] = [];
-      // Construct entry with predictable key order via sortObjectKeys later
-      const candidate = { provider, tld, 'regular-price': regular };
-      if (baseCurrency) candidate.currency = baseCurrency;
-      const currencyExtras = collectCurrencyRegularPriceMaps(result, tld);
-      if (currencyExtras && Object.keys(currencyExtras).length > 0) {
-        candidate.currencies = currencyExtras;
-      }
-      candidatesByTld[tld].push(candidate);
-    }
-  }
-
-  /** @type {Array<{ provider: string, tld: string, 'regular-price': Record<string, number> }>} */
+  /** @type {Array<{ provider: string, tld: string, currency: string, 'regular-price': Record<string, number> }>} */
   const selected = [];
   for (const tld of Object.keys(candidatesByTld)) {
-    const options = candidatesByTld[tld];
-    if (!options || options.length === 0) continue;
-    let best = options[0];
-    let bestMetric = cheapestMetric(best['regular-price']);
-    for (let i = 1; i < options.length; i++) {
-      const cand = options[i];
-      const metric = cheapestMetric(cand['regular-price']);
-      if (metric < bestMetric || (metric === bestMetric && String(cand.provider) < String(best.provider))) {
-        best = cand;
-        bestMetric = metric;
-      }
-    }
+    const candidates = candidatesByTld[tld];
+    if (!candidates || candidates.length === 0) continue;
+    const choice = chooseProvider(tld, candidates, (cand) => strategy.metric(effectivePriceMap(cand)), rules);
+    if (!choice) continue;
     // Sort keys for stable output
-    selected.push(sortObjectKeys(best));
+    selected.push(sortObjectKeys({
+      ...choice.candidate,
+      'selection-strategy': strategy.name,
+      'selection-metric': Number.isFinite(choice.score) ? round2(choice.score) : null,
+      'selection-reason': choice.reason,
+      ...(stale[choice.candidate.provider] ? { 'stale-since': stale[choice.candidate.provider] } : {}),
+    }));
   }
 
   // Deterministic ordering of array items by tld (then provider as tie-breaker)
@@ -133,19 +356,48 @@ export default generateUnifiedList;
 
 // --- Optimized CSV helpers ---
 
-function collectCandidatesByTld(resultsByRegistrar, providers) {
+function collectCandidatesByTld(resultsByRegistrar, providers, options = {}) {
   const include = (providers && providers.length) ? providers : Object.keys(resultsByRegistrar || {});
+  const { target, rates } = resolveCurrencyContext(options);
+  const today = options.promos ? toDateKey(options.now) : null;
   const candidatesByTld = {};
   for (const provider of include) {
     const result = resultsByRegistrar[provider];
     if (!result || !result.data || typeof result.data !== 'object') continue;
-    const baseCurrency = deriveBaseCurrency(result) || undefined;
+    const baseCurrency = deriveBaseCurrency(result);
+    if (!baseCurrency) {
+      const err = new Error(`Unknown currency for provider "${provider}": set meta.currency on its generator output`);
+      err.code = 'ECURRENCY';
+      throw err;
+    }
+    const rate = getConversionRate(rates, baseCurrency, target);
+    const selection = resolveTierSelection(provider, result, options);
     for (const [tld, entry] of Object.entries(result.data)) {
-      const regular = normalizeRegularPriceMap(entry?.['regular-price']);
+      const { prices: regular, tiers } = selectTierPrices(entry, selection);
       if (!regular || Object.keys(regular).length === 0) continue;
       if (!candidatesByTld[tld]) candidatesByTld[tld] = [];
-      const candidate = { provider, tld, 'regular-price': regular };
-      if (baseCurrency) candidate.currency = baseCurrency;
+      // Construct entry with predictable key order via sortObjectKeys later
+      const candidate = {
+        provider,
+        tld,
+        currency: target,
+        'regular-price': convertPriceMap(regular, rate),
+        'original-currency': baseCurrency,
+        'original-price': regular,
+        'exchange-rate': Number(rate.toFixed(6)),
+      };
+      if (tiers) candidate['price-tier'] = tiers;
+      if (options.promos) {
+        const { prices, expires } = collectActivePromos(entry, today);
+        if (Object.keys(prices).length > 0) {
+          candidate['promo-price'] = convertPriceMap(prices, rate);
+          if (Object.keys(expires).length > 0) candidate['promo-expires'] = expires;
+        }
+      }
+      if (options.multiYear) {
+        const byYears = normalizeYearTable(entry?.['regular-price-by-years']);
+        if (Object.keys(byYears).length > 0) candidate['regular-price-by-years'] = convertYearTable(byYears, rate);
+      }
       const currencyExtras = collectCurrencyRegularPriceMaps(result, tld);
       if (currencyExtras && Object.keys(currencyExtras).length > 0) {
         candidate.currencies = currencyExtras;
@@ -158,57 +410,56 @@ function collectCandidatesByTld(resultsByRegistrar, providers) {
 
 /**
  * Build cheapest rows for a specific operation (e.g., 'create' or 'renew').
- * Rows are objects with tld, provider, currency, amount so additional
- * currencies can be appended without changing the shape.
+ * Rows are objects with tld, provider, currency, amount, tier, reason so additional
+ * currencies can be appended without changing the shape. `tier` names the
+ * price map the amount came from (regular-price, sale-price, promo-price, ...). Prices are compared
+ * in the comparison currency; accepts the same currency, promo, tier and
+ * provider rule options as generateUnifiedList. `reason` explains the choice.
+ *
+ * Options (besides generateUnifiedList's):
+ * - localCurrencies: currency codes to add rows for. The winning price is
+ *   converted from the comparison currency using exchangeRates, unless a
+ *   provider quotes that currency natively (e.g. NIRA's NGN map), in which
+ *   case the native price is used.
+ * - currencyPrecision: currency code -> decimals converted prices are rounded
+ *   to (default 2, or 0 for currencies without minor units; negative values
+ *   round to tens, hundreds, ...).
  */
-export function generateCheapestOpRows(resultsByRegistrar, op, providers) {
-  const candidatesByTld = collectCandidatesByTld(resultsByRegistrar, providers);
+export function generateCheapestOpRows(resultsByRegistrar, op, providers, options = {}) {
+  const candidatesByTld = collectCandidatesByTld(resultsByRegistrar, providers, options);
+  const context = resolveCurrencyContext(options);
+  const { target } = context;
+  const locals = resolveLocalCurrencies(options, context);
+  const rules = resolveProviderRules(options);
+  const stale = resolveStaleProviders(resultsByRegistrar);
   const rows = [];
   for (const tld of Object.keys(candidatesByTld)) {
     const list = candidatesByTld[tld];
-    let best = null;
-    let bestPrice = Number.POSITIVE_INFINITY;
-    for (const cand of list) {
-      const price = Number(cand['regular-price']?.[op]);
-      if (!Number.isFinite(price)) continue;
-      if (price < bestPrice || (price === bestPrice && String(cand.provider) < String(best?.provider || ''))) {
-        best = cand;
-        bestPrice = price;
-      }
-    }
-    const baseCurrency = best?.currency || 'USD';
-    if (best) {
-      rows.push({
-        tld,
-        provider: best.provider,
-        currency: baseCurrency,
-        amount: bestPrice,
-      });
-    }
+    const opPrice = (cand) => Number(effectivePriceMap(cand)[op]);
+    const choice = chooseProvider(tld, list.filter((cand) => Number.isFinite(opPrice(cand))), opPrice, rules);
+    const baseCurrency = choice?.candidate.currency || target;
+    const baseRow = choice
+      ? { tld, provider: choice.candidate.provider, currency: baseCurrency, amount: choice.score, tier: priceTierFor(choice.candidate, op), reason: withStaleNote(choice.reason, choice.candidate.provider, stale) }
+      : null;
+    if (baseRow) rows.push(baseRow);
     const byCurrency = new Map();
-    for (const cand of list) {
-      const currencies = cand.currencies || {};
-      for (const [code, entry] of Object.entries(currencies)) {
-        const price = Number(entry?.['regular-price']?.[op]);
-        if (!Number.isFinite(price)) continue;
-        const existing = byCurrency.get(code);
-        if (!existing || price < existing.price || (price === existing.price && String(cand.provider) < String(existing.candidate.provider))) {
-          byCurrency.set(code, { candidate: cand, price });
-        }
-      }
-    }
-    const baseCodeUpper = typeof baseCurrency === 'string' ? baseCurrency.toUpperCase() : '';
-    for (const code of Array.from(byCurrency.keys()).sort()) {
-      if (code === baseCodeUpper) continue;
-      const entry = byCurrency.get(code);
-      if (!entry) continue;
+    const codes = new Set(list.flatMap((cand) => Object.keys(cand.currencies || {})));
+    for (const code of Array.from(codes).sort()) {
+      if (code === baseCurrency.toUpperCase()) continue;
+      const nativePrice = (cand) => Number(cand.currencies?.[code]?.['regular-price']?.[op]);
+      const native = chooseProvider(tld, list.filter((cand) => Number.isFinite(nativePrice(cand))), nativePrice, rules);
+      if (!native) continue;
+      byCurrency.set(code, native);
       rows.push({
         tld,
-        provider: entry.candidate.provider,
+        provider: native.candidate.provider,
         currency: code,
-        amount: entry.price,
+        amount: native.score,
+        tier: 'regular-price',
+        reason: withStaleNote(native.reason, native.candidate.provider, stale),
       });
     }
+    if (baseRow) rows.push(...deriveLocalRows(baseRow, locals, byCurrency));
   }
   rows.sort((a, b) => {
     if (a.tld !== b.tld) return a.tld < b.tld ? -1 : 1;
@@ -220,24 +471,140 @@ export function generateCheapestOpRows(resultsByRegistrar, op, providers) {
 }
 
 export function rowsToCsv(rows) {
-  const header = 'tld,provider,currency,amount';
-  const body = rows.map((row) => `${row.tld},${row.provider},${row.currency},${row.amount}`);
+  const header = 'tld,provider,currency,amount,tier,reason';
+  const body = rows.map((row) => [row.tld, row.provider, row.currency, row.amount, row.tier || 'regular-price', row.reason || 'cheapest'].map(escapeCsvField).join(','));
   return [header, ...body].join('\n');
 }
 
 const CATALOG_OPS = ['create', 'renew', 'transfer'];
 
+/**
+ * Side-by-side price matrix: one row per (tld, operation) listing every
+ * provider's effective price in the comparison currency, the cheapest and
+ * second-cheapest provider and the spread between them. Uses the same
+ * candidate collection (and currency/tier/promo options) as the unified list.
+ *
+ * @param {Object<string, { meta?: any, data?: Record<string, any> }>} resultsByRegistrar
+ * @param {Object} [options] generateUnifiedList options, plus:
+ * @param {string[]} [options.operations=['create','renew','transfer']]
+ * @returns {{ currency: string, providers: string[], rows: Array<{
+ *   tld: string, operation: string, currency: string, prices: Record<string, number>,
+ *   cheapest: string, cheapest_price: number, second_cheapest: string|null,
+ *   second_cheapest_price: number|null, spread: number|null, spread_percent: number|null,
+ * }> }}
+ */
+export function generateComparisonMatrix(resultsByRegistrar, options = {}) {
+  const candidatesByTld = collectCandidatesByTld(resultsByRegistrar, options.providers, options);
+  const { target } = resolveCurrencyContext(options);
+  const operations = options.operations && options.operations.length ? options.operations : CATALOG_OPS;
+  const providers = new Set();
+  const rows = [];
+  for (const tld of Object.keys(candidatesByTld).sort()) {
+    for (const operation of operations) {
+      const offers = [];
+      for (const cand of candidatesByTld[tld]) {
+        const price = Number(effectivePriceMap(cand)[operation]);
+        if (Number.isFinite(price)) offers.push({ provider: cand.provider, price });
+      }
+      if (offers.length === 0) continue;
+      offers.sort((a, b) => (a.price - b.price) || (a.provider < b.provider ? -1 : a.provider > b.provider ? 1 : 0));
+      const prices = {};
+      for (const offer of offers) {
+        prices[offer.provider] = offer.price;
+        providers.add(offer.provider);
+      }
+      const [first, second] = offers;
+      const spread = second ? round2(second.price - first.price) : null;
+      rows.push({
+        tld,
+        operation,
+        currency: target,
+        prices: sortObjectKeys(prices),
+        cheapest: first.provider,
+        cheapest_price: first.price,
+        second_cheapest: second ? second.provider : null,
+        second_cheapest_price: second ? second.price : null,
+        spread,
+        spread_percent: spread !== null && first.price > 0 ? round2((spread / first.price) * 100) : null,
+      });
+    }
+  }
+  return { currency: target, providers: Array.from(providers).sort(), rows };
+}
+
+/** Serializes a comparison matrix into CSV with one price column per provider. */
+export function comparisonMatrixToCsv(matrix) {
+  const columns = ['tld', 'operation', 'currency', ...matrix.providers, 'cheapest', 'second_cheapest', 'spread', 'spread_percent'];
+  const body = matrix.rows.map((row) => [
+    row.tld,
+    row.operation,
+    row.currency,
+    ...matrix.providers.map((provider) => row.prices[provider]),
+    row.cheapest,
+    row.second_cheapest,
+    row.spread,
+    row.spread_percent,
+  ].map(escapeCsvField).join(','));
+  return [columns.map(escapeCsvField).join(','), ...body].join('\n');
+}
+
+/**
+ * Cheapest multi-year rows (years >= 2) per tld/operation, taken from the
+ * providers' `regular-price-by-years` tables in the comparison currency and
+ * converted into any `localCurrencies`. Amounts are totals for the whole term.
+ */
+function generateMultiYearRows(resultsByRegistrar, providers, options) {
+  const candidatesByTld = collectCandidatesByTld(resultsByRegistrar, providers, { ...options, multiYear: true });
+  const locals = resolveLocalCurrencies(options, resolveCurrencyContext(options));
+  const rules = resolveProviderRules(options);
+  const stale = resolveStaleProviders(resultsByRegistrar);
+  const rows = [];
+  for (const tld of Object.keys(candidatesByTld)) {
+    for (const op of CATALOG_OPS) {
+      const yearCounts = new Set();
+      for (const cand of candidatesByTld[tld]) {
+        for (const count of Object.keys(cand['regular-price-by-years']?.[op] || {})) {
+          if (Number(count) >= 2) yearCounts.add(Number(count));
+        }
+      }
+      const best = [];
+      for (const years of Array.from(yearCounts).sort((x, y) => x - y)) {
+        const yearPrice = (cand) => Number(cand['regular-price-by-years']?.[op]?.[years]);
+        const priced = candidatesByTld[tld].filter((cand) => Number.isFinite(yearPrice(cand)));
+        const choice = chooseProvider(tld, priced, yearPrice, rules);
+        if (!choice) continue;
+        best.push({ tld, op, years, provider: choice.candidate.provider, currency: choice.candidate.currency, amount: choice.score, tier: 'regular-price', reason: withStaleNote(choice.reason, choice.candidate.provider, stale) });
+      }
+      for (const row of best) rows.push(row, ...deriveLocalRows(row, locals, new Set()));
+    }
+  }
+  return rows;
+}
+
+// The tier is only spelled out when it is not the default regular price;
+// prices from a fallback snapshot carry the snapshot date.
+function catalogFeatures(row, stale = {}) {
+  const features = [`provider=${row.provider}`];
+  if (row.tier && row.tier !== 'regular-price') features.push(`tier=${row.tier}`);
+  if (stale[row.provider]) features.push(`stale-since=${stale[row.provider]}`);
+  return features.join(';');
+}
+
 /**
  * Build catalog rows for the `price-quotes` library's CSV contract: one row per
  * (tld, operation, currency), using the same cheapest-price selection as
  * generateCheapestOpRows. Provider attribution rides in `product_features`
  * (a descriptive, non-price-axis column) since price-quotes rejects any header
- * it doesn't recognize.
+ * it doesn't recognize. With `options.multiYear`, multi-year registrations are
+ * added as `<operation>-<years>y` variants (e.g. `create-2y`). `localCurrencies`
+ * adds a row per currency as in generateCheapestOpRows. Prices taken from a
+ * fallback snapshot get `stale-since=<generated_at>`.
  */
-export function generateCatalogRows(resultsByRegistrar, providers) {
+export function generateCatalogRows(resultsByRegistrar, providers, options = {}) {
+  const stale = resolveStaleProviders(resultsByRegistrar);
   const rows = [];
   for (const op of CATALOG_OPS) {
-    const opRows = generateCheapestOpRows(resultsByRegistrar, op, providers);
+    const opRows = generateCheapestOpRows(resultsByRegistrar, op, providers, options);
     for (const row of opRows) {
       rows.push({
         product_sku: row.tld,
@@ -245,7 +612,19 @@ export function generateCatalogRows(resultsByRegistrar, providers) {
         product_variant: op,
         currency: row.currency,
         price_amount: row.amount,
-        product_features: `provider=${row.provider}`,
+        product_features: catalogFeatures(row, stale),
+      });
+    }
+  }
+  if (options.multiYear) {
+    for (const row of generateMultiYearRows(resultsByRegistrar, providers, options)) {
+      rows.push({
+        product_sku: row.tld,
+        product_category: 'domain',
+        product_variant: `${row.op}-${row.years}y`,
+        currency: row.currency,
+        price_amount: row.amount,
+        product_features: catalogFeatures(row, stale),
       });
     }
   }
@@ -260,14 +639,6 @@ export function generateCatalogRows(resultsByRegistrar, providers) {
 
 const CATALOG_CSV_COLUMNS = ['product_sku', 'product_category', 'product_variant', 'currency', 'price_amount', 'product_features'];
 
-function escapeCsvField(value) {
-  const str = String(value ?? '');
-  if (/[",\n]/.test(str)) {
-    return `"${str.replace(/"/g, '""')}"`;
-  }
-  return str;
-}
-
 /** Serializes catalog rows into CSV text matching price-quotes' known-column contract. */
 export function catalogRowsToCsv(rows) {
   const header = CATALOG_CSV_COLUMNS.join(',');
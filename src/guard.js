@@ -0,0 +1,115 @@
+/**
+ * Sanity checks that compare a freshly generated snapshot against the one
+ * already on disk, so a partial upstream response or a changed sheet layout
+ * cannot silently replace good data.
+ */
+
+import { diffPriceSnapshots, pickPriceMaps, UNIFIED_PRICE_MAPS } from './diff.js';
+
+export const DEFAULT_GUARD_THRESHOLDS = {
+  // Maximum allowed drop in TLD count, as a percentage of the previous count.
+  maxTldDropPct: 10,
+  // A price moving by more than this percentage counts as a large change...
+  priceChangePct: 50,
+  // ...and more than this many large changes trips the guard.
+  maxPriceChanges: 100,
+};
+
+function countTlds(snapshot) {
+  if (Array.isArray(snapshot)) return snapshot.length;
+  return Object.keys(snapshot?.data || {}).length;
+}
+
+function indexPrices(snapshot) {
+  const index = new Map();
+  const unified = Array.isArray(snapshot);
+  const entries = unified
+    ? snapshot.map((entry) => [entry?.tld, entry])
+    : Object.entries(snapshot?.data || {});
+  for (const [tld, entry] of entries) {
+    if (!tld || !entry || typeof entry !== 'object') continue;
+    // `original-price` is in the winning provider's own currency, so it jumps
+    // whenever the winner changes currency; only the converted prices count.
+    for (const [tier, map] of Object.entries(pickPriceMaps(entry, unified ? UNIFIED_PRICE_MAPS : undefined))) {
+      for (const [operation, price] of Object.entries(map)) {
+        index.set(`${tld}|${tier}|${operation}`, price);
+      }
+    }
+  }
+  return index;
+}
+
+function collectNonPositivePrices(previousPrices, nextPrices) {
+  const found = [];
+  for (const [key, price] of nextPrices) {
+    if (price > 0) continue;
+    // Zero is a legitimate price for some operations (e.g. update), so only
+    // prices that were positive before, or new negative ones, count.
+    const previous = previousPrices.get(key);
+    if (previous === undefined ? price < 0 : previous > 0) {
+      const [tld, tier, operation] = key.split('|');
+      found.push({ tld, tier, operation, old_price: previous ?? null, new_price: price });
+    }
+  }
+  return found;
+}
+
+/**
+ * Compare a new snapshot against the previous one and list every rule it breaks.
+ *
+ * @param {any} previous snapshot currently on disk (generator output or unified list)
+ * @param {any} next freshly generated snapshot of the same shape
+ * @param {Partial<typeof DEFAULT_GUARD_THRESHOLDS>} [thresholds]
+ * @returns {{ ok: boolean, violations: Array<{ rule: string, message: string, details?: any[] }> }}
+ */
+export function checkSnapshotSafety(previous, next, thresholds = {}) {
+  const limits = { ...DEFAULT_GUARD_THRESHOLDS, ...thresholds };
+  const violations = [];
+
+  const before = countTlds(previous);
+  const after = countTlds(next);
+  if (before > 0) {
+    const dropPct = ((before - after) / before) * 100;
+    if (dropPct > limits.maxTldDropPct) {
+      violations.push({
+        rule: 'tld-drop',
+        message: `TLD count dropped from ${before} to ${after} (${dropPct.toFixed(1)}%, limit ${limits.maxTldDropPct}%)`,
+      });
+    }
+  }
+
+  const report = diffPriceSnapshots(previous, next);
+  const large = report.price_changes.filter((c) => c.percent !== null && Math.abs(c.percent) > limits.priceChangePct);
+  if (large.length > limits.maxPriceChanges) {
+    violations.push({
+      rule: 'price-changes',
+      message: `${large.length} prices changed by more than ${limits.priceChangePct}% (limit ${limits.maxPriceChanges})`,
+      details: large,
+    });
+  }
+
+  const nonPositive = collectNonPositivePrices(indexPrices(previous), indexPrices(next));
+  if (nonPositive.length) {
+    violations.push({
+      rule: 'non-positive-price',
+      message: `${nonPositive.length} prices became zero or negative`,
+      details: nonPositive,
+    });
+  }
+
+  return { ok: violations.length === 0, violations };
+}
+
+/** Human-readable summary of guard violations for a single file. */
+export function formatGuardViolations(label, violations, { maxDetails = 10 } = {}) {
+  const lines = [`${label}:`];
+  for (const v of violations) {
+    lines.push(`  ✖ [${v.rule}] ${v.message}`);
+    const details = v.details || [];
+    for (const d of details.slice(0, maxDetails)) {
+      lines.push(`      ${d.tld} ${d.tier} ${d.operation}: ${d.old_price ?? '–'} → ${d.new_price ?? '–'}`);
+    }
+    if (details.length > maxDetails) lines.push(`      … and ${details.length - maxDetails} more`);
+  }
+  return lines.join('\n');
+}
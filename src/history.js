@@ -0,0 +1,224 @@
+/**
+ * Append-only price history. Every generation run appends one JSON line to
+ * `<historyDir>/<provider>.jsonl`:
+ *
+ *   {"at":"2026-10-19T06:00:00.000Z","tlds":1840,"changes":[["com","regular-price","create","USD",10.5], ...]}
+ *
+ * Only prices that differ from the provider's previous state are stored; a
+ * `null` price means the price disappeared. Replaying the lines in order
+ * rebuilds the prices in effect at any point in time.
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { normalizeCurrencyCode } from './currency.js';
+import { pickPriceMaps } from './diff.js';
+
+const HISTORY_EXT = '.jsonl';
+
+function historyError(message) {
+  const err = new Error(message);
+  err.code = 'EHISTORY';
+  return err;
+}
+
+function keyOf(tld, tier, operation, currency) {
+  return `${tld}|${tier}|${operation}|${currency}`;
+}
+
+function toTime(value, label) {
+  const time = value instanceof Date ? value.getTime() : Date.parse(value);
+  if (!Number.isFinite(time)) throw historyError(`Invalid ${label} date: ${value}`);
+  return time;
+}
+
+/**
+ * Flatten a generator output into price points. Currency-keyed sections next
+ * to `data` (NIRA's `NGN`) are included under their own currency.
+ *
+ * @param {{ meta?: any, data?: Record<string, any> }} result
+ * @returns {Map<string, { tld: string, tier: string, operation: string, currency: string, price: number }>}
+ */
+export function flattenPrices(result) {
+  const points = new Map();
+  const baseCurrency = normalizeCurrencyCode(result?.meta?.currency) || normalizeCurrencyCode(result?.meta?.data_currency) || 'USD';
+  const sections = [[baseCurrency, result?.data]];
+  for (const [key, section] of Object.entries(result || {})) {
+    if (/^[A-Z]{3}$/.test(key)) sections.push([key, section]);
+  }
+  for (const [currency, data] of sections) {
+    for (const [tld, entry] of Object.entries(data || {})) {
+      for (const [tier, map] of Object.entries(pickPriceMaps(entry))) {
+        for (const [operation, price] of Object.entries(map)) {
+          points.set(keyOf(tld, tier, operation, currency), { tld, tier, operation, currency, price });
+        }
+      }
+    }
+  }
+  return points;
+}
+
+/**
+ * Replay history lines into the latest price per key.
+ * @param {Array<{ at: string, changes: any[][] }>} runs
+ * @param {number} [until] only apply runs at or before this time
+ * @returns {Map<string, { price: number, since: string }>}
+ */
+export function replayHistory(runs, until = Number.POSITIVE_INFINITY) {
+  const state = new Map();
+  for (const run of runs) {
+    if (Date.parse(run.at) > until) break;
+    for (const [tld, tier, operation, currency, price] of run.changes || []) {
+      const key = keyOf(tld, tier, operation, currency);
+      if (price === null) state.delete(key);
+      else state.set(key, { price, since: run.at });
+    }
+  }
+  return state;
+}
+
+/**
+ * Changes needed to move from `state` to the prices in `result`.
+ * @returns {any[][]} `[tld, tier, operation, currency, price|null]` rows
+ */
+export function diffAgainstHistory(state, result) {
+  const changes = [];
+  const next = flattenPrices(result);
+  for (const [key, point] of next) {
+    if (state.get(key)?.price !== point.price) changes.push([point.tld, point.tier, point.operation, point.currency, point.price]);
+  }
+  for (const key of state.keys()) {
+    if (!next.has(key)) changes.push([...key.split('|'), null]);
+  }
+  changes.sort((a, b) => (a.slice(0, 4).join('|') < b.slice(0, 4).join('|') ? -1 : 1));
+  return changes;
+}
+
+export function historyFile(historyDir, provider) {
+  if (!/^[a-z0-9][a-z0-9._-]*$/i.test(provider)) throw historyError(`Invalid provider id for history: ${provider}`);
+  return path.join(historyDir, `${provider}${HISTORY_EXT}`);
+}
+
+/**
+ * Read a provider's history runs in order (empty when nothing was recorded).
+ * @param {string} historyDir
+ * @param {string} provider
+ */
+export async function readProviderHistory(historyDir, provider) {
+  let text;
+  try {
+    text = await fs.readFile(historyFile(historyDir, provider), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  return text.split('\n').filter(Boolean).map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch (err) {
+      throw historyError(`Corrupt history line ${i + 1} for ${provider}: ${err.message}`);
+    }
+  });
+}
+
+/** Provider ids that have a history file. */
+export async function listHistoryProviders(historyDir) {
+  let files;
+  try {
+    files = await fs.readdir(historyDir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  return files.filter((f) => f.endsWith(HISTORY_EXT)).map((f) => f.slice(0, -HISTORY_EXT.length)).sort();
+}
+
+/**
+ * Append a generation run for one provider, storing only changed prices.
+ *
+ * @param {string} historyDir
+ * @param {string} provider
+ * @param {{ meta?: any, data?: Record<string, any> }} result generator output
+ * @param {Object} [options]
+ * @param {Date|string} [options.at] run time (default: meta.generated_at, else now)
+ * @returns {Promise<{ at: string, changes: number }>}
+ */
+export async function recordHistory(historyDir, provider, result, options = {}) {
+  const at = new Date(toTime(options.at ?? result?.meta?.generated_at ?? new Date(), 'run')).toISOString();
+  const runs = await readProviderHistory(historyDir, provider);
+  const last = runs[runs.length - 1];
+  if (last && Date.parse(last.at) > Date.parse(at)) {
+    throw historyError(`Cannot record ${provider} history at ${at}: it already has a run at ${last.at}`);
+  }
+  const changes = diffAgainstHistory(replayHistory(runs), result);
+  const line = JSON.stringify({ at, tlds: Object.keys(result?.data || {}).length, changes });
+  await fs.mkdir(historyDir, { recursive: true });
+  await fs.appendFile(historyFile(historyDir, provider), `${line}\n`);
+  return { at, changes: changes.length };
+}
+
+function matches(filter, value) {
+  return filter === undefined || filter === null || filter === value;
+}
+
+async function loadRuns(historyDir, provider) {
+  const providers = provider ? [provider] : await listHistoryProviders(historyDir);
+  const out = [];
+  for (const id of providers) out.push([id, await readProviderHistory(historyDir, id)]);
+  return out;
+}
+
+/**
+ * Price history of one TLD: a series per (provider, tier, operation,
+ * currency) with the price in effect at `from` followed by every change up
+ * to `to`.
+ *
+ * @param {string} historyDir
+ * @param {{ tld: string, from?: string|Date, to?: string|Date, provider?: string, tier?: string, operation?: string, currency?: string }} query
+ * @returns {Promise<Array<{ provider: string, tld: string, tier: string, operation: string, currency: string, points: Array<{ at: string, price: number|null }> }>>}
+ */
+export async function queryPriceHistory(historyDir, query) {
+  if (!query?.tld) throw historyError('A TLD is required to query price history');
+  const from = query.from ? toTime(query.from, 'from') : Number.NEGATIVE_INFINITY;
+  const to = query.to ? toTime(query.to, 'to') : Number.POSITIVE_INFINITY;
+  const series = new Map();
+  for (const [provider, runs] of await loadRuns(historyDir, query.provider)) {
+    for (const run of runs) {
+      const time = Date.parse(run.at);
+      if (time > to) break;
+      for (const [tld, tier, operation, currency, price] of run.changes || []) {
+        if (tld !== query.tld || !matches(query.tier, tier) || !matches(query.operation, operation) || !matches(query.currency, currency)) continue;
+        const key = `${provider}|${keyOf(tld, tier, operation, currency)}`;
+        if (!series.has(key)) series.set(key, { provider, tld, tier, operation, currency, points: [] });
+        const { points } = series.get(key);
+        // Before the range only the latest change (the price in effect at `from`) is kept.
+        if (time < from) points.length = 0;
+        points.push({ at: run.at, price });
+      }
+    }
+  }
+  return Array.from(series.values())
+    .filter((s) => s.points.some((p) => p.price !== null) || Date.parse(s.points[s.points.length - 1].at) >= from)
+    .sort((a, b) => (`${a.provider}|${a.tier}|${a.operation}|${a.currency}` < `${b.provider}|${b.tier}|${b.operation}|${b.currency}` ? -1 : 1));
+}
+
+/**
+ * Prices of a TLD in effect at a given date, with the date each took effect.
+ *
+ * @param {string} historyDir
+ * @param {{ tld: string, at: string|Date, provider?: string, tier?: string, operation?: string, currency?: string }} query
+ * @returns {Promise<Array<{ provider: string, tld: string, tier: string, operation: string, currency: string, price: number, since: string }>>}
+ */
+export async function priceAt(historyDir, query) {
+  if (!query?.tld) throw historyError('A TLD is required to look up a price');
+  const until = toTime(query.at, 'lookup');
+  const out = [];
+  for (const [provider, runs] of await loadRuns(historyDir, query.provider)) {
+    for (const [key, { price, since }] of replayHistory(runs, until)) {
+      const [tld, tier, operation, currency] = key.split('|');
+      if (tld !== query.tld || !matches(query.tier, tier) || !matches(query.operation, operation) || !matches(query.currency, currency)) continue;
+      out.push({ provider, tld, tier, operation, currency, price, since });
+    }
+  }
+  return out.sort((a, b) => (`${a.provider}|${a.tier}|${a.operation}|${a.currency}` < `${b.provider}|${b.tier}|${b.operation}|${b.currency}` ? -1 : 1));
+}
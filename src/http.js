@@ -1,7 +1,19 @@
 /**
  * Lightweight fetch helper with retry logic that works in Node and browsers.
+ *
+ * In Node, responses can be recorded to and replayed from fixture files so
+ * generators run fully offline (see `setHttpFixtures`), and kept in an
+ * on-disk cache that is revalidated with conditional requests (see
+ * `setHttpCache`).
  */
 
+function abortError() {
+  if (typeof DOMException === 'function') return new DOMException('Aborted', 'AbortError');
+  const error = new Error('Aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
 function delay(ms, signal) {
   return new Promise((resolve, reject) => {
     const timer = setTimeout(resolve, ms);
@@ -9,14 +21,7 @@ function delay(ms, signal) {
       const abort = () => {
         clearTimeout(timer);
         signal.removeEventListener('abort', abort);
-        let error;
-        if (typeof DOMException === 'function') {
-          error = new DOMException('Aborted', 'AbortError');
-        } else {
-          error = new Error('Aborted');
-          error.name = 'AbortError';
-        }
-        reject(error);
+        reject(abortError());
       };
       if (signal.aborted) {
         abort();
@@ -31,46 +36,390 @@ const defaultHeaders = typeof window === 'undefined'
   ? { 'user-agent': 'registrar-pricelist/1.0 (+https://github.com/namewiz/registrar-pricelist)' }
   : {};
 
+// Query parameters and headers that carry credentials. Their values never
+// reach a fixture file and do not take part in fixture lookup.
+const SECRET_PARAMS = new Set(['apikey', 'apiuser', 'username', 'clientip', 'key', 'api_key', 'token', 'access_token']);
+const SECRET_HEADERS = new Set(['authorization', 'x-api-key']);
+const REDACTED = 'REDACTED';
+const FIXTURE_MODES = ['off', 'record', 'replay'];
+
+let fixtureSettings = null;
+let cacheSettings = null;
+
+function fixtureError(message) {
+  const err = new Error(message);
+  err.code = 'EFIXTURE';
+  return err;
+}
+
+/**
+ * Record or replay HTTP fixtures for every `fetchWithRetry` call.
+ * Without a call, `REGISTRAR_HTTP_FIXTURES` (off, record or replay) and
+ * `REGISTRAR_HTTP_FIXTURES_DIR` are read from the environment.
+ *
+ * @param {{ mode: 'off'|'record'|'replay', dir?: string } | null} settings null restores the env defaults
+ */
+export function setHttpFixtures(settings) {
+  if (settings && !FIXTURE_MODES.includes(settings.mode)) {
+    throw fixtureError(`Unknown HTTP fixture mode: ${settings.mode} (expected one of ${FIXTURE_MODES.join(', ')})`);
+  }
+  fixtureSettings = settings;
+}
+
+function resolveFixtureSettings(override) {
+  const settings = override || fixtureSettings;
+  if (settings) return settings.mode === 'off' ? null : settings;
+  const env = typeof process !== 'undefined' && process.env ? process.env : {};
+  const mode = env.REGISTRAR_HTTP_FIXTURES;
+  if (!mode || mode === 'off') return null;
+  if (!FIXTURE_MODES.includes(mode)) throw fixtureError(`Unknown REGISTRAR_HTTP_FIXTURES mode: ${mode}`);
+  return { mode, dir: env.REGISTRAR_HTTP_FIXTURES_DIR || 'test/fixtures/http' };
+}
+
 /**
+ * Strip credentials from a request so it can be stored and matched.
+ * @returns {{ url: string, secrets: string[] }} redacted URL plus the removed values
+ */
+export function sanitizeRequest(url, headers = {}) {
+  const parsed = new URL(String(url));
+  const secrets = [];
+  for (const [name, value] of Array.from(parsed.searchParams)) {
+    if (!SECRET_PARAMS.has(name.toLowerCase())) continue;
+    if (value) secrets.push(value);
+    parsed.searchParams.set(name, REDACTED);
+  }
+  for (const [name, value] of Object.entries(headers)) {
+    if (!SECRET_HEADERS.has(name.toLowerCase()) || !value) continue;
+    secrets.push(String(value), String(value).replace(/^Bearer\s+/i, ''));
+  }
+  parsed.hash = '';
+  return { url: parsed.toString(), secrets };
+}
+
+/**
+ * Keep successful responses in `dir` and revalidate them with
+ * If-None-Match / If-Modified-Since. Without a call, `REGISTRAR_HTTP_CACHE_DIR`
+ * enables the cache.
+ *
+ * @param {{ dir: string, staleIfError?: boolean } | false | null} settings
+ *   `staleIfError` (default true) serves the cached body when the source stays
+ *   unreachable; false disables caching; null restores the env default
+ */
+export function setHttpCache(settings) {
+  if (settings && !settings.dir) throw new TypeError('setHttpCache requires a "dir"');
+  cacheSettings = settings;
+}
+
+function resolveCacheSettings(override) {
+  const settings = override !== undefined ? override : cacheSettings;
+  if (settings !== null) return settings || null;
+  const env = typeof process !== 'undefined' && process.env ? process.env : {};
+  return env.REGISTRAR_HTTP_CACHE_DIR ? { dir: env.REGISTRAR_HTTP_CACHE_DIR } : null;
+}
+
+async function cachePath(dir, url) {
+  const [{ createHash }, path] = await Promise.all([import('node:crypto'), import('node:path')]);
+  // Hash the full URL so different credentials never share an entry; only
+  // the redacted URL is written inside the file.
+  const hash = createHash('sha256').update(String(url)).digest('hex').slice(0, 16);
+  return path.join(dir, `${new URL(String(url)).hostname.replace(/[^a-z0-9.-]/gi, '_')}-${hash}.json`);
+}
+
+async function readCacheEntry(settings, url) {
+  const fs = await import('node:fs/promises');
+  try {
+    return JSON.parse(await fs.readFile(await cachePath(settings.dir, url), 'utf8'));
+  } catch (_) {
+    // A missing or corrupt entry just means a full download.
+    return null;
+  }
+}
+
+async function writeCacheEntry(settings, url, entry) {
+  const fs = await import('node:fs/promises');
+  const file = await cachePath(settings.dir, url);
+  await fs.mkdir(settings.dir, { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(entry));
+  await fs.rename(tmp, file);
+}
+
+function conditionalHeaders(entry) {
+  const out = {};
+  if (entry?.etag) out['if-none-match'] = entry.etag;
+  if (entry?.last_modified) out['if-modified-since'] = entry.last_modified;
+  return out;
+}
+
+function cachedResponse(entry, state) {
+  const headers = { 'x-cache': state };
+  if (entry.content_type) headers['content-type'] = entry.content_type;
+  return new Response(entry.body, { status: 200, headers });
+}
+
+async function storeResponse(settings, url, res) {
+  const body = await res.text();
+  const now = new Date().toISOString();
+  await writeCacheEntry(settings, url, {
+    url: redactUrl(url),
+    etag: res.headers.get('etag'),
+    last_modified: res.headers.get('last-modified'),
+    content_type: res.headers.get('content-type'),
+    stored_at: now,
+    validated_at: now,
+    body,
+  });
+  return new Response(body, { status: res.status, statusText: res.statusText, headers: res.headers });
+}
+
+function redactUrl(url) {
+  try {
+    return sanitizeRequest(url).url;
+  } catch (_) {
+    return String(url);
+  }
+}
+
+async function fixturePath(dir, sanitizedUrl) {
+  const [{ createHash }, path] = await Promise.all([import('node:crypto'), import('node:path')]);
+  const { hostname } = new URL(sanitizedUrl);
+  const hash = createHash('sha1').update(`GET ${sanitizedUrl}`).digest('hex').slice(0, 12);
+  return path.join(dir, `${hostname.replace(/[^a-z0-9.-]/gi, '_')}-${hash}.json`);
+}
+
+async function replayFixture(settings, url, headers) {
+  const { url: sanitizedUrl } = sanitizeRequest(url, headers);
+  const file = await fixturePath(settings.dir, sanitizedUrl);
+  const fs = await import('node:fs/promises');
+  let fixture;
+  try {
+    fixture = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    throw fixtureError(`No recorded fixture for GET ${sanitizedUrl} (expected ${file}); record it with REGISTRAR_HTTP_FIXTURES=record`);
+  }
+  return new Response(fixture.response.body, { status: fixture.response.status, headers: fixture.response.headers });
+}
+
+async function recordFixture(settings, url, headers, res) {
+  const { url: sanitizedUrl, secrets } = sanitizeRequest(url, headers);
+  let body = await res.text();
+  for (const secret of secrets) {
+    if (secret.length >= 3) body = body.split(secret).join(REDACTED);
+  }
+  const contentType = res.headers.get('content-type');
+  const fixture = {
+    request: { method: 'GET', url: sanitizedUrl },
+    response: { status: res.status, headers: contentType ? { 'content-type': contentType } : {}, body },
+  };
+  const file = await fixturePath(settings.dir, sanitizedUrl);
+  const fs = await import('node:fs/promises');
+  await fs.mkdir(settings.dir, { recursive: true });
+  await fs.writeFile(file, `${JSON.stringify(fixture, null, 2)}\n`);
+  return new Response(body, { status: res.status, statusText: res.statusText, headers: res.headers });
+}
+
+async function send(url, init, settings) {
+  if (settings?.mode === 'replay') return replayFixture(settings, url, init.headers);
+  const res = await fetch(url, init);
+  if (settings?.mode === 'record') return recordFixture(settings, url, init.headers, res);
+  return res;
+}
+
+// 408/425/429 and 5xx are worth another attempt; any other 4xx will fail the same way again.
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+/** @type {Map<string, { intervalMs: number, next: number }>} */
+const hostLimits = new Map();
+
+/**
+ * Space requests to a host at least `intervalMs` apart, across every
+ * `fetchWithRetry` call in the process. 0 removes the limit.
+ * @param {string} host e.g. `api.namecheap.com`
+ * @param {number} intervalMs
+ */
+export function setHostRateLimit(host, intervalMs) {
+  if (!Number.isFinite(intervalMs) || intervalMs < 0) throw new TypeError(`Invalid rate limit for ${host}: ${intervalMs}`);
+  if (intervalMs === 0) hostLimits.delete(host);
+  else hostLimits.set(host, { intervalMs, next: hostLimits.get(host)?.next ?? 0 });
+}
+
+async function waitForHostSlot(url, intervalMs, signal) {
+  const host = new URL(String(url)).host;
+  if (intervalMs !== undefined && !hostLimits.has(host)) setHostRateLimit(host, intervalMs);
+  const limit = hostLimits.get(host);
+  if (!limit) return;
+  const now = Date.now();
+  const start = Math.max(now, limit.next);
+  // Reserve the slot before waiting so concurrent callers queue up behind it.
+  limit.next = start + limit.intervalMs;
+  if (start > now) await delay(start - now, signal);
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date) into milliseconds.
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') return null;
+  const trimmed = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(trimmed)) return Math.round(Number(trimmed) * 1000);
+  const date = Date.parse(trimmed);
+  return Number.isFinite(date) ? Math.max(0, date - now) : null;
+}
+
+/**
+ * Whether a failed attempt is worth retrying: timeouts, network errors,
+ * 408/425/429 and 5xx are; other HTTP errors, caller aborts and missing
+ * fixtures are not.
+ */
+export function isRetryableError(err) {
+  if (!err) return false;
+  if (typeof err.retryable === 'boolean') return err.retryable;
+  if (err.code === 'EFIXTURE' || err.name === 'AbortError') return false;
+  if (err.code === 'ETIMEDOUT') return true;
+  if (typeof err.status === 'number') return RETRYABLE_STATUS.has(err.status) || err.status >= 500;
+  // fetch rejects with a TypeError for DNS, connection and TLS failures.
+  return err.name === 'TypeError' || /^E(CONNRESET|CONNREFUSED|AI_AGAIN|NOTFOUND|PIPE)$/.test(err.code || err.cause?.code || '');
+}
+
+/** Exponential backoff with +/- `jitter` spread, so parallel clients don't retry in lockstep. */
+export function backoffDelay(attempt, backoffMs, jitter = 0.25, random = Math.random) {
+  const base = backoffMs * Math.pow(2, attempt);
+  return Math.max(0, Math.round(base * (1 + jitter * (2 * random() - 1))));
+}
+
+// Statuses whose Response may not carry a body, even an empty one.
+const NULL_BODY_STATUS = new Set([101, 204, 205, 304]);
+
+// The timeout covers the whole download: the body is buffered before the
+// timer is cleared, so a stream that stalls halfway cannot hang the run.
+async function sendWithTimeout(url, init, fixtureConfig, timeoutMs) {
+  if (!timeoutMs) return send(url, init, fixtureConfig);
+  const controller = new AbortController();
+  const { signal } = init;
+  const onAbort = () => controller.abort(signal.reason ?? abortError());
+  if (signal?.aborted) throw abortError();
+  signal?.addEventListener('abort', onAbort, { once: true });
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  try {
+    const res = await send(url, { ...init, signal: controller.signal }, fixtureConfig);
+    const payload = NULL_BODY_STATUS.has(res.status) ? null : await res.arrayBuffer();
+    return new Response(payload, { status: res.status, statusText: res.statusText, headers: res.headers });
+  } catch (err) {
+    if (!timedOut) throw err;
+    const timeout = new Error(`Request timed out after ${timeoutMs}ms`);
+    timeout.code = 'ETIMEDOUT';
+    throw timeout;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Report what was fetched (size and SHA-256 of the payload) to the logger as
+// `entry.fetch`, so callers such as the run manifest can record provenance.
+async function traceResponse(res, log, { url, started, source }) {
+  const payload = await res.arrayBuffer();
+  const sha256 = globalThis.crypto?.subtle ? toHex(await globalThis.crypto.subtle.digest('SHA-256', payload)) : null;
+  log({
+    level: 'info',
+    message: `Fetched ${url} (${payload.byteLength} bytes, ${source})`,
+    fetch: { url, status: res.status, bytes: payload.byteLength, sha256, source, fetched_at: new Date(started).toISOString(), duration_ms: Date.now() - started },
+  });
+  return new Response(payload, { status: res.status, statusText: res.statusText, headers: res.headers });
+}
+
+/**
+ * Successful responses are also reported to `logger` as an entry with a
+ * `fetch` field: `{ url, status, bytes, sha256, source, fetched_at, duration_ms }`,
+ * where `source` is `network`, `revalidated`, `stale` or `fixture`.
+ *
  * @param {RequestInfo | URL} url
  * @param {Object} [options]
  * @param {number} [options.retries=3]
  * @param {number} [options.backoffMs=500]
+ * @param {number} [options.jitter=0.25] backoff spread as a fraction of the delay
+ * @param {number} [options.timeoutMs=30000] per-attempt timeout until the response body has been read; 0 disables it
+ * @param {number} [options.maxRetryAfterMs=60000] give up instead of waiting longer than this for Retry-After
+ * @param {number} [options.rateLimitMs] minimum gap between requests to this host, unless `setHostRateLimit` set one
  * @param {Record<string, string>} [options.headers]
  * @param {AbortSignal} [options.signal]
  * @param {'info'|'warn'|'error'} [options.logLevel]
  * @param {(entry: { level?: string, message: string }) => void} [options.logger]
+ * @param {{ mode: 'off'|'record'|'replay', dir?: string }} [options.fixtures] overrides `setHttpFixtures` for this call
+ * @param {{ dir: string, staleIfError?: boolean } | false} [options.cache] overrides `setHttpCache` for this call
  */
 export async function fetchWithRetry(url, {
   retries = 3,
   backoffMs = 500,
+  jitter = 0.25,
+  timeoutMs = 30000,
+  maxRetryAfterMs = 60000,
+  rateLimitMs,
   headers,
   signal,
   logLevel = 'info',
   logger,
+  fixtures,
+  cache,
 } = {}) {
   let lastErr;
   const log = logger || (() => {});
+  const fixtureConfig = resolveFixtureSettings(fixtures);
+  const safeUrl = redactUrl(url);
+  const cacheConfig = fixtureConfig ? null : resolveCacheSettings(cache);
+  const cached = cacheConfig ? await readCacheEntry(cacheConfig, url) : null;
+  const started = Date.now();
+  const trace = (res, source) => traceResponse(res, log, { url: safeUrl, started, source });
   for (let attempt = 0; attempt <= retries; attempt++) {
     try {
-      const res = await fetch(url, {
-        headers: { ...defaultHeaders, ...(headers || {}) },
+      if (fixtureConfig?.mode !== 'replay') await waitForHostSlot(url, rateLimitMs, signal);
+      const res = await sendWithTimeout(url, {
+        headers: { ...defaultHeaders, ...(headers || {}), ...conditionalHeaders(cached) },
         signal,
-      });
+      }, fixtureConfig, timeoutMs);
+      if (res.status === 304 && cached) {
+        await res.body?.cancel().catch(() => {});
+        log({ level: 'info', message: `Not modified since ${cached.stored_at}: ${safeUrl}` });
+        await writeCacheEntry(cacheConfig, url, { ...cached, validated_at: new Date().toISOString() });
+        return trace(cachedResponse(cached, 'revalidated'), 'revalidated');
+      }
       if (!res.ok) {
         const err = new Error(`HTTP ${res.status}`);
         err.status = res.status;
-        err.url = typeof url === 'string' ? url : url.toString();
+        err.url = safeUrl;
+        err.retryAfterMs = parseRetryAfter(res.headers.get('retry-after'));
+        await res.body?.cancel().catch(() => {});
         throw err;
       }
-      return res;
+      return trace(cacheConfig ? await storeResponse(cacheConfig, url, res) : res, fixtureConfig?.mode === 'replay' ? 'fixture' : 'network');
     } catch (err) {
       lastErr = err;
-      if (attempt >= retries) break;
-      log({ level: logLevel, message: `Retrying ${url} after error: ${err.message}` });
-      await delay(backoffMs * Math.pow(2, attempt), signal).catch(() => { throw err; });
+      if (signal?.aborted || !isRetryableError(err) || attempt >= retries) break;
+      let wait = backoffDelay(attempt, backoffMs, jitter);
+      if (err.retryAfterMs !== null && err.retryAfterMs !== undefined) {
+        if (err.retryAfterMs > maxRetryAfterMs) {
+          err.message = `${err.message} (Retry-After ${Math.ceil(err.retryAfterMs / 1000)}s exceeds the ${Math.ceil(maxRetryAfterMs / 1000)}s limit)`;
+          break;
+        }
+        wait = Math.max(wait, err.retryAfterMs);
+      }
+      log({ level: logLevel, message: `Retrying ${safeUrl} in ${wait}ms after error: ${err.message}` });
+      await delay(wait, signal).catch(() => { throw err; });
     }
   }
+  if (cached && cacheConfig.staleIfError !== false && !signal?.aborted && isRetryableError(lastErr)) {
+    log({ level: 'warn', message: `Serving cached copy of ${safeUrl} from ${cached.stored_at}: ${lastErr.message}`, cache: 'stale' });
+    return trace(cachedResponse(cached, 'stale'), 'stale');
+  }
   throw lastErr;
 }
-
@@ -0,0 +1,153 @@
+/**
+ * Run manifest (`<outDir>/manifest.json`): which package version, options,
+ * exchange rates and upstream payloads produced each file in the output
+ * directory, with a SHA-256 per file so `verify` can detect later edits.
+ *
+ * A run only rewrites some files (e.g. `unify` touches the unified outputs
+ * only), so a new manifest is merged into the previous one: entries for
+ * files and generators that were not part of this run are kept.
+ */
+
+import { createHash } from 'node:crypto';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+export const MANIFEST_FILE = 'manifest.json';
+export const MANIFEST_VERSION = 1;
+
+function manifestError(message) {
+  const err = new Error(message);
+  err.code = 'EMANIFEST';
+  return err;
+}
+
+export function sha256(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+/** Name and version from this package's package.json. */
+export async function readPackageInfo() {
+  const pkg = JSON.parse(await fs.readFile(new URL('../package.json', import.meta.url), 'utf8'));
+  return { name: pkg.name, version: pkg.version };
+}
+
+/**
+ * Size, hash and a TLD or row count for one output file: `tlds` for
+ * generator outputs, `rows` for arrays (unified list, exchange rates) and CSVs.
+ *
+ * @param {string} relPath path relative to the output directory
+ * @param {string|Buffer} content
+ */
+export function describeFile(relPath, content) {
+  const entry = { path: relPath.split(path.sep).join('/'), sha256: sha256(content), bytes: Buffer.byteLength(content) };
+  if (relPath.endsWith('.csv')) {
+    entry.rows = Math.max(0, String(content).split('\n').filter(Boolean).length - 1);
+  } else if (relPath.endsWith('.json')) {
+    let parsed = null;
+    try {
+      parsed = JSON.parse(content);
+    } catch (_) {
+      // Not JSON after all; hash and size are still useful.
+    }
+    if (Array.isArray(parsed)) entry.rows = parsed.length;
+    else if (parsed?.data && typeof parsed.data === 'object') entry.tlds = Object.keys(parsed.data).length;
+  }
+  return entry;
+}
+
+/** describeFile for a file already on disk; null when it does not exist. */
+export async function describeFileOnDisk(outDir, relPath) {
+  try {
+    return describeFile(relPath, await fs.readFile(path.join(outDir, relPath)));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Read `manifest.json` from a directory; null when there is none.
+ * @param {string} outDir
+ */
+export async function readManifest(outDir) {
+  const file = path.join(outDir, MANIFEST_FILE);
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw manifestError(`Failed to parse ${file}: ${err.message}`);
+  }
+}
+
+function mergeBy(key, previous = [], next = []) {
+  const merged = new Map(previous.map((item) => [item[key], item]));
+  for (const item of next) merged.set(item[key], item);
+  return Array.from(merged.values()).sort((a, b) => (a[key] < b[key] ? -1 : a[key] > b[key] ? 1 : 0));
+}
+
+/**
+ * Combine this run's details with the previous manifest.
+ *
+ * @param {any|null} previous
+ * @param {Object} run
+ * @param {string} run.generatedAt
+ * @param {{ name: string, version: string }} run.package
+ * @param {Record<string, any>} run.options CLI options of the run
+ * @param {{ path: string, sha256: string, rows?: number, source: string } | null} [run.exchangeRates]
+ *   the exchange-rates.json used, and whether it was generated, a fallback or a loaded snapshot
+ * @param {Array<{ id: string }>} [run.generators] one entry per generator that ran
+ * @param {Array<{ path: string }>} run.files output files written or used by the run
+ */
+export function buildManifest(previous, run) {
+  return {
+    manifest_version: MANIFEST_VERSION,
+    generated_at: run.generatedAt,
+    package: run.package,
+    node: typeof process !== 'undefined' ? process.version : null,
+    options: run.options,
+    exchange_rates: run.exchangeRates ?? previous?.exchange_rates ?? null,
+    generators: mergeBy('id', previous?.generators, run.generators),
+    files: mergeBy('path', previous?.files, run.files),
+  };
+}
+
+/**
+ * Write the manifest into `outDir`.
+ * @returns {Promise<string>} the manifest path
+ */
+export async function writeManifest(outDir, manifest) {
+  const file = path.join(outDir, MANIFEST_FILE);
+  await fs.writeFile(file, `${JSON.stringify(manifest, null, 2)}\n`);
+  return file;
+}
+
+/**
+ * Check every file listed in a manifest against the files on disk.
+ *
+ * @param {string} outDir
+ * @param {any} manifest
+ * @returns {Promise<Array<{ path: string, status: 'ok'|'modified'|'missing', expected: string, actual: string|null }>>}
+ */
+export async function verifyManifest(outDir, manifest) {
+  if (!manifest || !Array.isArray(manifest.files)) throw manifestError('Manifest has no file list');
+  const results = [];
+  for (const entry of manifest.files) {
+    let content;
+    try {
+      content = await fs.readFile(path.join(outDir, entry.path));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      results.push({ path: entry.path, status: 'missing', expected: entry.sha256, actual: null });
+      continue;
+    }
+    const actual = sha256(content);
+    results.push({ path: entry.path, status: actual === entry.sha256 ? 'ok' : 'modified', expected: entry.sha256, actual });
+  }
+  return results;
+}
@@ -0,0 +1,82 @@
+/**
+ * Loading third-party registrar generators (`--plugin=<path|package>` or the
+ * `plugins` config entry). A plugin is an ES module whose default export, or
+ * any named export, is a RegistrarPriceGenerator (or an array of them); each
+ * one is passed to registerRegistrarGenerator().
+ */
+
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { registerRegistrarGenerator } from './generators/index.js';
+
+function pluginError(message) {
+  const err = new Error(message);
+  err.code = 'EPLUGIN';
+  return err;
+}
+
+const isPathSpec = (spec) => spec.startsWith('.') || path.isAbsolute(spec);
+
+// Packages are resolved from the project running the CLI, not from this package.
+function resolvePlugin(spec, cwd) {
+  if (isPathSpec(spec)) return pathToFileURL(path.resolve(cwd, spec)).href;
+  try {
+    return pathToFileURL(createRequire(path.join(cwd, 'package.json')).resolve(spec)).href;
+  } catch (_) {
+    // ESM-only packages (no "require" export) still resolve through import().
+    return spec;
+  }
+}
+
+function isGenerator(value) {
+  return Boolean(value) && typeof value === 'object' && typeof value.id === 'string' && typeof value.generate === 'function';
+}
+
+/**
+ * Generators exported by a plugin module, without duplicates (the default
+ * export is often also a named one).
+ * @param {Record<string, any>} mod
+ */
+export function collectPluginGenerators(mod) {
+  const found = [];
+  for (const value of Object.values(mod)) {
+    for (const candidate of Array.isArray(value) ? value : [value]) {
+      if (isGenerator(candidate) && !found.includes(candidate)) found.push(candidate);
+    }
+  }
+  return found;
+}
+
+/**
+ * Import plugins and register their generators.
+ *
+ * @param {string[]} specs file paths (relative to `cwd`) or package names
+ * @param {Object} [opts]
+ * @param {string} [opts.cwd]
+ * @returns {Promise<Array<{ spec: string, ids: string[] }>>}
+ * @throws {Error} code EPLUGIN when a plugin cannot be loaded, exports no
+ *   generator or clashes with an existing one
+ */
+export async function loadPlugins(specs, { cwd = process.cwd() } = {}) {
+  const loaded = [];
+  for (const spec of specs) {
+    let mod;
+    try {
+      mod = await import(resolvePlugin(spec, cwd));
+    } catch (err) {
+      throw pluginError(`Failed to load plugin ${spec}: ${err.message}`);
+    }
+    const generators = collectPluginGenerators(mod);
+    if (!generators.length) throw pluginError(`Plugin ${spec} does not export a RegistrarPriceGenerator`);
+    for (const generator of generators) {
+      try {
+        registerRegistrarGenerator(generator);
+      } catch (err) {
+        throw pluginError(`Plugin ${spec}: ${err.message}`);
+      }
+    }
+    loaded.push({ spec, ids: generators.map((generator) => generator.id) });
+  }
+  return loaded;
+}
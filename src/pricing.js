@@ -0,0 +1,228 @@
+/**
+ * Retail pricing rules applied on top of unified (cost) prices.
+ *
+ * A rule set layers partial rules from general to specific; later layers
+ * override earlier ones field by field:
+ *
+ *   defaults < currencies[currency] < operations[op] < tlds[tld] < tlds[tld].operations[op]
+ *
+ * Rule fields:
+ * - markupPercent     percentage added to the cost price
+ * - markupFixed       fixed amount added after the percentage markup
+ * - minMargin         minimum absolute margin over cost
+ * - minMarginPercent  minimum margin as a percentage of cost
+ * - maxPrice          hard ceiling for the sell price
+ * - rounding          'none', 'charm-99' (x.99), 'nearest-0.50', 'up-1', 'down-5', ...
+ *
+ * The absolute amounts (markupFixed, minMargin, maxPrice) only mean something
+ * in one currency: under `currencies[currency]` they are plain numbers, and
+ * everywhere else they are keyed by currency (`{ "USD": 2, "NGN": 500 }`).
+ * A layer without an entry for the row's currency leaves the field alone.
+ *
+ * Rounding from `currencies[currency]` or `currencyRounding[currency]` wins
+ * over rounding set in the currency-agnostic layers.
+ *
+ * @typedef {Object} PricingRule
+ * @property {number} [markupPercent]
+ * @property {number | Record<string, number>} [markupFixed]
+ * @property {number | Record<string, number>} [minMargin]
+ * @property {number} [minMarginPercent]
+ * @property {number | Record<string, number>} [maxPrice]
+ * @property {string} [rounding]
+ *
+ * @typedef {Object} PricingRuleSet
+ * @property {PricingRule} [defaults]
+ * @property {Record<string, PricingRule>} [currencies]
+ * @property {Record<string, PricingRule>} [operations]
+ * @property {Record<string, PricingRule & { operations?: Record<string, PricingRule> }>} [tlds]
+ * @property {Record<string, string>} [currencyRounding]
+ */
+
+import { round2 } from './currency.js';
+
+const NUMERIC_FIELDS = ['markupPercent', 'markupFixed', 'minMargin', 'minMarginPercent', 'maxPrice'];
+const ABSOLUTE_FIELDS = ['markupFixed', 'minMargin', 'maxPrice'];
+const RULE_FIELDS = [...NUMERIC_FIELDS, 'rounding'];
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+function rulesError(message) {
+  const err = new Error(message);
+  err.code = 'ERULES';
+  return err;
+}
+
+/**
+ * Parse a rounding mode into a function of the price.
+ * @param {string} mode
+ * @returns {(price: number) => number}
+ */
+export function parseRoundingMode(mode) {
+  if (!mode || mode === 'none') return (price) => round2(price);
+  const charm = /^charm-(\d{2})$/.exec(mode);
+  if (charm) {
+    // Round up to the next price ending in .XX (e.g. 12.20 -> 12.99).
+    const ending = Number(charm[1]) / 100;
+    return (price) => {
+      const candidate = Math.floor(price) + ending;
+      return round2(candidate + 1e-9 >= price ? candidate : candidate + 1);
+    };
+  }
+  const stepped = /^(nearest|up|down)-(\d+(?:\.\d+)?)$/.exec(mode);
+  if (stepped && Number(stepped[2]) > 0) {
+    const step = Number(stepped[2]);
+    const fn = stepped[1] === 'nearest' ? Math.round : stepped[1] === 'up' ? Math.ceil : Math.floor;
+    return (price) => round2(fn(round2(price / step * 1e6) / 1e6) * step);
+  }
+  throw rulesError(`Unknown rounding mode: ${mode} (expected none, charm-<cents>, nearest-<step>, up-<step> or down-<step>)`);
+}
+
+function validateRule(rule, where) {
+  if (rule === undefined) return;
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw rulesError(`Pricing rule at ${where} must be an object`);
+  }
+  for (const [key, value] of Object.entries(rule)) {
+    if (key === 'operations' && where.startsWith('tlds.')) {
+      for (const [op, opRule] of Object.entries(value || {})) validateRule(opRule, `${where}.operations.${op}`);
+      continue;
+    }
+    if (!RULE_FIELDS.includes(key)) throw rulesError(`Unknown pricing rule field "${key}" at ${where}`);
+    if (ABSOLUTE_FIELDS.includes(key) && !where.startsWith('currencies.')) {
+      const keyed = value && typeof value === 'object' && !Array.isArray(value)
+        && Object.entries(value).every(([code, amount]) => CURRENCY_CODE.test(code) && typeof amount === 'number' && Number.isFinite(amount));
+      if (!keyed) {
+        throw rulesError(`Pricing rule field ${where}.${key} must be a finite number keyed by currency, e.g. { "USD": 2 } (plain amounts are only allowed under currencies.<code>)`);
+      }
+      continue;
+    }
+    if (NUMERIC_FIELDS.includes(key) && (typeof value !== 'number' || !Number.isFinite(value))) {
+      throw rulesError(`Pricing rule field ${where}.${key} must be a finite number`);
+    }
+    if (key === 'rounding') parseRoundingMode(value);
+  }
+}
+
+/**
+ * Validate a rule set and return it, throwing a descriptive error otherwise.
+ * @param {PricingRuleSet} rules
+ * @returns {PricingRuleSet}
+ */
+export function validatePricingRules(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw rulesError('Pricing rules must be an object');
+  }
+  const known = ['defaults', 'currencies', 'operations', 'tlds', 'currencyRounding'];
+  for (const key of Object.keys(rules)) {
+    if (!known.includes(key)) throw rulesError(`Unknown pricing rules section "${key}" (expected ${known.join(', ')})`);
+  }
+  validateRule(rules.defaults, 'defaults');
+  for (const section of ['currencies', 'operations', 'tlds']) {
+    for (const [key, rule] of Object.entries(rules[section] || {})) validateRule(rule, `${section}.${key}`);
+  }
+  for (const [currency, mode] of Object.entries(rules.currencyRounding || {})) {
+    try {
+      parseRoundingMode(mode);
+    } catch (err) {
+      throw rulesError(`currencyRounding.${currency}: ${err.message}`);
+    }
+  }
+  return rules;
+}
+
+// One layer's fields for a currency: nested operations dropped, keyed amounts picked.
+function layerFor(rule, currency) {
+  const out = {};
+  for (const [key, value] of Object.entries(rule || {})) {
+    if (key === 'operations') continue;
+    if (ABSOLUTE_FIELDS.includes(key) && typeof value === 'object') {
+      if (value[currency] !== undefined) out[key] = value[currency];
+      continue;
+    }
+    out[key] = value;
+  }
+  return out;
+}
+
+/**
+ * Resolve the effective rule for one price.
+ * @param {PricingRuleSet} rules
+ * @param {{ tld: string, operation: string, currency: string }} target
+ * @returns {PricingRule}
+ */
+export function resolvePricingRule(rules, { tld, operation, currency }) {
+  const tldRule = rules.tlds?.[tld];
+  const currencyRule = rules.currencies?.[currency] || {};
+  const merged = {
+    ...layerFor(rules.defaults, currency),
+    ...currencyRule,
+    ...layerFor(rules.operations?.[operation], currency),
+    ...layerFor(tldRule, currency),
+    ...layerFor(tldRule?.operations?.[operation], currency),
+  };
+  // A step like charm-99 or up-100 only fits one currency's denominations.
+  const currencyRounding = currencyRule.rounding || rules.currencyRounding?.[currency];
+  if (currencyRounding) merged.rounding = currencyRounding;
+  return merged;
+}
+
+/**
+ * Compute the sell price for a cost price under a rule.
+ *
+ * @param {number} cost
+ * @param {PricingRule} rule
+ * @returns {{ cost: number, sell: number, margin: number, capped: boolean, belowFloor: boolean }}
+ *   `belowFloor` is set when `maxPrice` pushed the price under the margin floor (or under cost)
+ */
+export function computeSellPrice(cost, rule = {}) {
+  const round = parseRoundingMode(rule.rounding);
+  let sell = cost * (1 + (rule.markupPercent || 0) / 100) + (rule.markupFixed || 0);
+  const floor = Math.max(
+    cost + (rule.minMargin || 0),
+    cost * (1 + (rule.minMarginPercent || 0) / 100),
+  );
+  sell = Math.max(sell, floor);
+  let rounded = round(sell);
+  if (rounded + 1e-9 < floor) {
+    // Rounding to the nearest step may dip under the margin floor; round up instead.
+    const upMode = String(rule.rounding || 'none').replace(/^(nearest|down)-/, 'up-');
+    rounded = parseRoundingMode(upMode)(floor);
+  }
+  let capped = false;
+  if (typeof rule.maxPrice === 'number' && rounded > rule.maxPrice) {
+    rounded = round2(rule.maxPrice);
+    capped = true;
+  }
+  // The cap wins over the floor on purpose (a price ceiling is a business
+  // decision), but callers need to know when it costs margin.
+  const belowFloor = capped && rounded + 1e-9 < floor;
+  return { cost, sell: rounded, margin: round2(rounded - cost), capped, belowFloor };
+}
+
+/**
+ * Reprice catalog rows: `price_amount` becomes the sell price while the cost
+ * price rides along in `product_features` next to the provider. Rows whose
+ * `maxPrice` sits under the margin floor get `capped=below-margin` (or
+ * `capped=below-cost` when sold at a loss) and are reported to `onCapped`.
+ *
+ * @param {Array<Record<string, any>>} rows catalog rows from generateCatalogRows
+ * @param {PricingRuleSet} rules
+ * @param {Object} [options]
+ * @param {(row: { tld: string, variant: string, currency: string, cost: number, sell: number, belowCost: boolean }) => void} [options.onCapped]
+ */
+export function applyPricingRules(rows, rules, { onCapped } = {}) {
+  validatePricingRules(rules);
+  return rows.map((row) => {
+    const cost = Number(row.price_amount);
+    if (!Number.isFinite(cost)) return row;
+    const operation = String(row.product_variant || '').replace(/-\d+y$/, '');
+    const rule = resolvePricingRule(rules, { tld: row.product_sku, operation, currency: row.currency });
+    const { sell, belowFloor } = computeSellPrice(cost, rule);
+    let features = row.product_features ? `${row.product_features};cost=${cost}` : `cost=${cost}`;
+    if (belowFloor) {
+      const belowCost = sell < cost;
+      features += `;capped=${belowCost ? 'below-cost' : 'below-margin'}`;
+      onCapped?.({ tld: row.product_sku, variant: row.product_variant, currency: row.currency, cost, sell, belowCost });
+    }
+    return { ...row, price_amount: sell, product_features: features };
+  });
+}
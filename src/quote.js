@@ -0,0 +1,195 @@
+/**
+ * Domain quotes from a unified list: resolves a full domain name to the
+ * longest TLD the list prices (`shop.com.ng` -> `com.ng` rather than `ng`)
+ * and reports create/renew/transfer prices, multi-year totals and optional
+ * currency conversion.
+ */
+
+import { domainToASCII, domainToUnicode } from 'node:url';
+import { BASE_CURRENCY, buildRateTable, currencyPrecision, getConversionRate, normalizeCurrencyCode, round2, roundTo } from './currency.js';
+import { escapeCsvField } from './csv.js';
+
+export const QUOTE_OPERATIONS = ['create', 'renew', 'transfer'];
+
+function quoteError(message) {
+  const err = new Error(message);
+  err.code = 'EQUOTE';
+  return err;
+}
+
+/**
+ * Normalize user input (`Shop.com.NG.`, `https://bücher.de/x`, `bücher.de`)
+ * into ASCII (punycode) and Unicode forms.
+ *
+ * @param {string} input
+ * @returns {{ input: string, ascii: string, unicode: string, labels: string[] }}
+ */
+export function parseDomainName(input) {
+  let host = String(input ?? '').trim();
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(host)) {
+    try {
+      host = new URL(host).hostname;
+    } catch {
+      throw quoteError(`Invalid domain name: ${input}`);
+    }
+  }
+  host = host.replace(/\.+$/, '');
+  const ascii = host ? domainToASCII(host) : '';
+  if (!ascii || ascii.split('.').some((label) => !label)) {
+    throw quoteError(`Invalid domain name: ${input}`);
+  }
+  return { input: String(input), ascii, unicode: domainToUnicode(ascii), labels: ascii.split('.') };
+}
+
+/**
+ * Index unified list entries by TLD for repeated lookups.
+ * @param {Array<{ tld: string }>} unifiedList
+ * @returns {Map<string, any>}
+ */
+export function createQuoteIndex(unifiedList) {
+  if (!Array.isArray(unifiedList)) throw quoteError('Quotes need a unified list (array of TLD entries)');
+  const index = new Map();
+  for (const entry of unifiedList) {
+    if (!entry || typeof entry.tld !== 'string') continue;
+    index.set(domainToASCII(entry.tld) || entry.tld.toLowerCase(), entry);
+  }
+  return index;
+}
+
+/**
+ * Longest TLD in the index that the domain ends with, leaving at least one
+ * label in front of it.
+ *
+ * @param {string[]} labels ASCII labels of the domain
+ * @param {Map<string, any>} index
+ * @returns {{ tld: string, name: string, entry: any } | null}
+ */
+export function findLongestTld(labels, index) {
+  for (let i = 1; i < labels.length; i++) {
+    const tld = labels.slice(i).join('.');
+    if (index.has(tld)) return { tld, name: labels.slice(0, i).join('.'), entry: index.get(tld) };
+  }
+  return null;
+}
+
+// By-years tables already hold the total for the term (see the generators' meta.notes).
+function multiYearTotal(entry, op, years) {
+  const prices = entry['regular-price'] || {};
+  const fromTable = Number(entry['regular-price-by-years']?.[op]?.[years]);
+  if (Number.isFinite(fromTable)) return fromTable;
+  const first = Number(prices[op]);
+  if (!Number.isFinite(first)) return null;
+  if (years === 1) return first;
+  // Registrations and transfers include the first year; the rest are renewals.
+  const renew = Number(prices.renew);
+  return Number.isFinite(renew) ? round2(first + (years - 1) * renew) : null;
+}
+
+/**
+ * Quote one domain against a TLD index.
+ *
+ * @param {string} domain
+ * @param {Map<string, any>} index from createQuoteIndex
+ * @param {Object} [options]
+ * @param {number} [options.years=1] registration length for the totals
+ * @param {string} [options.currency] currency to convert into (default: the list's currency)
+ * @param {Array<{ currencyCode: string, exchangeRate: number }>} [options.exchangeRates]
+ * @param {Record<string, number>} [options.currencyPrecision] decimals per currency
+ * @returns {{ domain: string, ascii: string, name: string, tld: string, provider: string, currency: string,
+ *   years: number, prices: Record<string, number|null>, totals: Record<string, number|null>, exchange_rate: number }}
+ */
+export function quoteDomain(domain, index, options = {}) {
+  const years = options.years ?? 1;
+  if (!Number.isInteger(years) || years < 1) throw quoteError(`Invalid number of years: ${options.years}`);
+  const parsed = parseDomainName(domain);
+  const match = findLongestTld(parsed.labels, index);
+  if (!match) throw quoteError(`No price for ${parsed.unicode}: TLD not found in the unified list`);
+
+  const { entry } = match;
+  const from = normalizeCurrencyCode(entry.currency) || BASE_CURRENCY;
+  const to = options.currency ? normalizeCurrencyCode(options.currency) : from;
+  if (!to) throw quoteError(`Invalid currency: ${options.currency}`);
+  const rate = getConversionRate(buildRateTable(options.exchangeRates), from, to);
+  const decimals = currencyPrecision(to, options.currencyPrecision);
+  const convert = (value) => (value === null ? null : from === to ? value : roundTo(value * rate, decimals));
+
+  const prices = {};
+  const totals = {};
+  for (const op of QUOTE_OPERATIONS) {
+    const price = Number(entry['regular-price']?.[op]);
+    prices[op] = convert(Number.isFinite(price) ? price : null);
+    totals[op] = convert(multiYearTotal(entry, op, years));
+  }
+  return {
+    domain: parsed.unicode,
+    ascii: parsed.ascii,
+    name: match.name,
+    tld: match.tld,
+    provider: entry.provider,
+    currency: to,
+    years,
+    prices,
+    totals,
+    exchange_rate: Number(rate.toFixed(6)),
+  };
+}
+
+/**
+ * Quote many domains; failures are reported per domain instead of thrown.
+ *
+ * @param {string[]} domains
+ * @param {Array<any>} unifiedList
+ * @param {Parameters<typeof quoteDomain>[2]} [options]
+ * @returns {Array<ReturnType<typeof quoteDomain> | { domain: string, error: string }>}
+ */
+export function quoteDomains(domains, unifiedList, options = {}) {
+  const index = createQuoteIndex(unifiedList);
+  return domains.map((domain) => {
+    try {
+      return quoteDomain(domain, index, options);
+    } catch (err) {
+      if (err.code !== 'EQUOTE' && err.code !== 'ECURRENCY') throw err;
+      return { domain: String(domain), error: err.message };
+    }
+  });
+}
+
+/**
+ * Split a bulk input file into domain names: one or more per line separated
+ * by whitespace or commas; blank lines and `#` comments are ignored.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseDomainList(text) {
+  return String(text || '')
+    .split(/\r?\n/)
+    .map((line) => line.replace(/#.*$/, ''))
+    .flatMap((line) => line.split(/[\s,]+/))
+    .filter(Boolean);
+}
+
+const QUOTE_CSV_COLUMNS = ['domain', 'tld', 'provider', 'currency', 'years', 'create', 'renew', 'transfer', 'create_total', 'renew_total', 'transfer_total', 'error'];
+
+/** Flatten quotes into CSV with one row per domain. */
+export function quotesToCsv(quotes) {
+  const rows = quotes.map((q) => {
+    const row = { ...q, ...q.prices };
+    for (const op of QUOTE_OPERATIONS) row[`${op}_total`] = q.totals?.[op];
+    return QUOTE_CSV_COLUMNS.map((col) => escapeCsvField(row[col])).join(',');
+  });
+  return [QUOTE_CSV_COLUMNS.join(','), ...rows].join('\n');
+}
+
+/** Plain-text table for terminals; failed quotes are listed below it. */
+export function quotesToTable(quotes) {
+  const header = ['Domain', 'TLD', 'Provider', 'Years', 'Create', 'Renew', 'Transfer'];
+  const fmt = (q, op) => (q.totals[op] === null ? '–' : `${q.totals[op]} ${q.currency}`);
+  const rows = quotes
+    .filter((q) => !q.error)
+    .map((q) => [q.domain, q.tld, q.provider, String(q.years), fmt(q, 'create'), fmt(q, 'renew'), fmt(q, 'transfer')]);
+  const widths = header.map((_, i) => Math.max(header[i].length, ...rows.map((row) => row[i].length)));
+  const line = (cells) => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+  const lines = [line(header), line(widths.map((w) => '-'.repeat(w))), ...rows.map(line)];
+  for (const q of quotes.filter((item) => item.error)) lines.push(`✖ ${q.domain}: ${q.error}`);
+  return lines.join('\n');
+}
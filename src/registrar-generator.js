@@ -29,9 +29,11 @@ export class RegistrarPriceGenerator {
    * @param {string} config.label
    * @param {string} [config.description]
    * @param {string} [config.defaultOutput]
+   * @param {string} [config.defaultCurrency] currency of outputs whose meta does not state one
+   *   (snapshots written before `meta.currency` was recorded)
    * @param {GeneratorHandler<any>} config.generate
    */
-  constructor({ id, label, description = '', defaultOutput, generate }) {
+  constructor({ id, label, description = '', defaultOutput, defaultCurrency, generate }) {
     if (!id) throw new TypeError('RegistrarPriceGenerator requires an "id".');
     if (!label) throw new TypeError('RegistrarPriceGenerator requires a "label".');
     if (typeof generate !== 'function') {
@@ -41,6 +43,7 @@ export class RegistrarPriceGenerator {
     this.label = label;
     this.description = description;
     this.defaultOutput = defaultOutput || `${id}-prices.json`;
+    this.defaultCurrency = defaultCurrency || null;
     this._generate = generate;
   }
 
@@ -0,0 +1,115 @@
+/**
+ * Runs registrar generators concurrently and isolates their failures: one
+ * generator throwing (e.g. missing Namecheap credentials) no longer stops the
+ * others, and with `continueOnError` a failed provider can fall back to its
+ * last good snapshot.
+ */
+
+/**
+ * Map over `items` with at most `limit` calls of `fn` in flight, keeping
+ * the results in input order.
+ *
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>}
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  if (!Number.isInteger(limit) || limit < 1) throw new TypeError(`Invalid concurrency: ${limit}`);
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * @typedef {Object} GeneratorRun
+ * @property {string} id
+ * @property {string} label
+ * @property {'ok'|'fallback'|'failed'} status
+ * @property {number} duration_ms
+ * @property {string|null} error
+ * @property {string|null} fallback_generated_at `meta.generated_at` of the snapshot used instead
+ */
+
+/**
+ * Run generators with a concurrency limit. Every generator runs to completion
+ * or failure; a failure never cancels the others.
+ *
+ * @param {Array<{ id: string, label: string, generate: (context: any) => Promise<any> }>} generators
+ * @param {Object} options
+ * @param {(generator: any) => any} options.context generate() context per generator
+ * @param {number} [options.concurrency=4]
+ * @param {boolean} [options.continueOnError=false] try `fallback` for failed generators
+ * @param {(generator: any, err: Error) => Promise<any|null>} [options.fallback]
+ *   last good result for a failed generator, or null when there is none
+ * @param {(run: GeneratorRun) => void} [options.onDone]
+ * @returns {Promise<{ resultsById: Record<string, any>, fresh: Set<string>, runs: GeneratorRun[] }>}
+ */
+export async function runGenerators(generators, options) {
+  const { concurrency = 4, continueOnError = false, fallback, onDone = () => {} } = options;
+  const resultsById = {};
+  const fresh = new Set();
+  const runs = await mapWithConcurrency(generators, concurrency, async (generator) => {
+    const started = Date.now();
+    const run = { id: generator.id, label: generator.label, status: 'ok', duration_ms: 0, error: null, fallback_generated_at: null };
+    try {
+      resultsById[generator.id] = await generator.generate(options.context(generator));
+      fresh.add(generator.id);
+    } catch (err) {
+      run.status = 'failed';
+      run.error = err.code ? `${err.code}: ${err.message}` : err.message;
+      const previous = continueOnError && fallback ? await fallback(generator, err).catch(() => null) : null;
+      if (previous) {
+        run.status = 'fallback';
+        run.fallback_generated_at = previous?.meta?.generated_at || null;
+        resultsById[generator.id] = markFallback(previous, run);
+      }
+    }
+    run.duration_ms = Date.now() - started;
+    onDone(run);
+    return run;
+  });
+  // Keep the caller's order regardless of which generator finished first.
+  const ordered = {};
+  for (const generator of generators) {
+    if (resultsById[generator.id]) ordered[generator.id] = resultsById[generator.id];
+  }
+  return { resultsById: ordered, fresh, runs };
+}
+
+// Unified outputs read `meta.fallback` to flag prices from an old snapshot.
+function markFallback(result, run) {
+  if (Array.isArray(result)) return result;
+  return { ...result, meta: { ...(result.meta || {}), fallback: { reason: run.error, generated_at: run.fallback_generated_at } } };
+}
+
+function formatDuration(ms) {
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Plain-text summary table of a run, one line per generator.
+ * @param {GeneratorRun[]} runs
+ */
+export function formatRunSummary(runs) {
+  const rows = runs.map((run) => [
+    run.label,
+    run.status,
+    formatDuration(run.duration_ms),
+    run.status === 'fallback'
+      ? `using snapshot from ${run.fallback_generated_at || 'an unknown date'}; ${run.error}`
+      : run.error || '',
+  ]);
+  const header = ['Generator', 'Status', 'Duration', 'Details'];
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map((row) => row[i].length)));
+  const line = (cells) => cells.map((cell, i) => (i === cells.length - 1 ? cell : cell.padEnd(widths[i]))).join('  ').trimEnd();
+  return [line(header), line(widths.map((w) => '-'.repeat(w))), ...rows.map(line)].join('\n');
+}
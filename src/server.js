@@ -0,0 +1,268 @@
+/**
+ * Read-only HTTP JSON API over a data directory (generator outputs, unified
+ * list and the CSV files next to them).
+ *
+ *   GET /health                  load status
+ *   GET /tlds                    unified entries; filters: provider, suffix, q, operation + maxPrice, limit, offset
+ *   GET /tlds/:tld               one TLD across every provider
+ *   GET /tlds/:tld/cheapest      cheapest provider per operation
+ *   GET /cheapest/:operation     cheapest provider of every TLD for one operation (limit, offset)
+ *   GET /quote?domain=...        quote one or more domains (years, currency)
+ *   GET /files                   downloadable files
+ *   GET /files/:name             raw CSV/JSON file
+ *
+ * Responses carry an ETag and honour If-None-Match. The data is reloaded
+ * when files in the directory change.
+ */
+
+import { createHash } from 'node:crypto';
+import { promises as fs, watch as watchDir } from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { generateComparisonMatrix } from './generators/unified.js';
+import { registrarGenerators } from './generators/index.js';
+import { createQuoteIndex, quoteDomain } from './quote.js';
+import { loadSnapshots, readSnapshot } from './snapshots.js';
+
+const FILE_PATTERN = /^(?:unified-[a-z-]+\.csv|[a-z0-9-]+-prices\.json|exchange-rates\.json|comparison-matrix\.(?:json|csv)|price-history\.(?:json|csv)|manifest\.json)$/;
+const RELOAD_DEBOUNCE_MS = 200;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function etagOf(body) {
+  return `"${createHash('sha1').update(body).digest('base64url')}"`;
+}
+
+/**
+ * Load everything the API serves from a data directory.
+ * @param {string} dataDir
+ * @param {{ unifiedFile?: string }} [options]
+ */
+export async function loadPriceData(dataDir, { unifiedFile = 'unified-prices.json' } = {}) {
+  const { exchangeRates, resultsById } = await loadSnapshots(dataDir, registrarGenerators);
+  let unified = [];
+  try {
+    unified = await readSnapshot(path.join(dataDir, unifiedFile), 'unified list');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  const matrix = generateComparisonMatrix(resultsById, { exchangeRates });
+  const cheapestByTld = new Map();
+  for (const row of matrix.rows) {
+    if (!cheapestByTld.has(row.tld)) cheapestByTld.set(row.tld, {});
+    cheapestByTld.get(row.tld)[row.operation] = row;
+  }
+  return {
+    loadedAt: new Date().toISOString(),
+    exchangeRates,
+    resultsById,
+    unified,
+    currency: matrix.currency,
+    cheapestByTld,
+    quoteIndex: createQuoteIndex(unified),
+  };
+}
+
+function parseLimit(value, fallback, name) {
+  if (value === null) return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw httpError(400, `Invalid ${name}: ${value}`);
+  return n;
+}
+
+function listTlds(data, params) {
+  const provider = params.get('provider');
+  const suffix = params.get('suffix')?.replace(/^\.+/, '').toLowerCase();
+  const q = params.get('q')?.toLowerCase();
+  const operation = params.get('operation') || 'create';
+  const maxPrice = params.has('maxPrice') ? Number(params.get('maxPrice')) : null;
+  if (maxPrice !== null && !Number.isFinite(maxPrice)) throw httpError(400, `Invalid maxPrice: ${params.get('maxPrice')}`);
+  const limit = parseLimit(params.get('limit'), 100, 'limit');
+  const offset = parseLimit(params.get('offset'), 0, 'offset');
+
+  const matches = data.unified.filter((entry) => {
+    if (provider && entry.provider !== provider) return false;
+    if (suffix && entry.tld !== suffix && !entry.tld.endsWith(`.${suffix}`)) return false;
+    if (q && !entry.tld.includes(q)) return false;
+    if (maxPrice !== null) {
+      const price = Number(entry['regular-price']?.[operation]);
+      if (!Number.isFinite(price) || price > maxPrice) return false;
+    }
+    return true;
+  });
+  return { total: matches.length, offset, limit, items: matches.slice(offset, offset + limit) };
+}
+
+function getTld(data, tld) {
+  const providers = {};
+  for (const [id, result] of Object.entries(data.resultsById)) {
+    const entry = result?.data?.[tld];
+    if (entry) providers[id] = { currency: result.meta?.currency || result.meta?.data_currency || null, ...entry };
+  }
+  const unified = data.unified.find((entry) => entry.tld === tld) || null;
+  if (!unified && !Object.keys(providers).length) throw httpError(404, `Unknown TLD: ${tld}`);
+  return { tld, unified, providers };
+}
+
+function getCheapest(data, tld) {
+  const rows = data.cheapestByTld.get(tld);
+  if (!rows) throw httpError(404, `Unknown TLD: ${tld}`);
+  const operations = {};
+  for (const [operation, row] of Object.entries(rows)) {
+    operations[operation] = { provider: row.cheapest, price: row.cheapest_price, runner_up: row.second_cheapest, runner_up_price: row.second_cheapest_price, prices: row.prices };
+  }
+  return { tld, currency: data.currency, operations };
+}
+
+function listCheapest(data, operation, params) {
+  const limit = parseLimit(params.get('limit'), 100, 'limit');
+  const offset = parseLimit(params.get('offset'), 0, 'offset');
+  const items = [];
+  for (const rows of data.cheapestByTld.values()) {
+    const row = rows[operation];
+    if (row) items.push({ tld: row.tld, provider: row.cheapest, price: row.cheapest_price, runner_up: row.second_cheapest, runner_up_price: row.second_cheapest_price });
+  }
+  if (!items.length) throw httpError(404, `No prices for operation: ${operation}`);
+  return { operation, currency: data.currency, total: items.length, offset, limit, items: items.slice(offset, offset + limit) };
+}
+
+function getQuotes(data, params, pathDomain) {
+  const domains = pathDomain ? [pathDomain] : params.getAll('domain').flatMap((d) => d.split(',')).filter(Boolean);
+  if (!domains.length) throw httpError(400, 'Pass at least one domain, e.g. /quote?domain=example.com');
+  const years = params.has('years') ? Number(params.get('years')) : 1;
+  const options = { years, currency: params.get('currency') || undefined, exchangeRates: data.exchangeRates };
+  const quotes = domains.map((domain) => {
+    try {
+      return quoteDomain(domain, data.quoteIndex, options);
+    } catch (err) {
+      if (err.code !== 'EQUOTE' && err.code !== 'ECURRENCY') throw err;
+      if (pathDomain) throw httpError(err.message.includes('not found') ? 404 : 400, err.message);
+      return { domain, error: err.message };
+    }
+  });
+  return pathDomain ? quotes[0] : quotes;
+}
+
+async function listFiles(dataDir) {
+  const files = (await fs.readdir(dataDir)).filter((name) => FILE_PATTERN.test(name)).sort();
+  return { files: files.map((name) => ({ name, url: `/files/${name}` })) };
+}
+
+async function readDataFile(dataDir, name) {
+  if (!FILE_PATTERN.test(name)) throw httpError(404, `Unknown file: ${name}`);
+  try {
+    return await fs.readFile(path.join(dataDir, name));
+  } catch (err) {
+    if (err.code === 'ENOENT') throw httpError(404, `Unknown file: ${name}`);
+    throw err;
+  }
+}
+
+/**
+ * Create the API server. Call `listen()` on the returned server yourself.
+ *
+ * @param {Object} options
+ * @param {string} options.dataDir directory with the generator outputs
+ * @param {string} [options.unifiedFile='unified-prices.json']
+ * @param {boolean} [options.watch=true] reload when files in dataDir change
+ * @param {(entry: { level: string, message: string }) => void} [options.logger]
+ * @returns {Promise<{ server: import('node:http').Server, reload: () => Promise<void>, close: () => Promise<void>, getData: () => any }>}
+ */
+export async function createPriceServer(options) {
+  const dataDir = path.resolve(options.dataDir);
+  const logger = options.logger || (() => {});
+  let data = await loadPriceData(dataDir, options);
+
+  const reload = async () => {
+    try {
+      data = await loadPriceData(dataDir, options);
+      logger({ level: 'info', message: `Reloaded price data from ${dataDir}` });
+    } catch (err) {
+      // Keep serving the previous data while files are half-written.
+      logger({ level: 'warn', message: `Reload failed, keeping previous data: ${err.message}` });
+    }
+  };
+
+  async function route(url) {
+    let parts;
+    try {
+      parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (_) {
+      throw httpError(400, `Malformed path: ${url.pathname}`);
+    }
+    if (parts[0] === 'health' && parts.length === 1) {
+      return { ok: true, loaded_at: data.loadedAt, providers: Object.keys(data.resultsById), tlds: data.unified.length };
+    }
+    if (parts[0] === 'tlds') {
+      if (parts.length === 1) return listTlds(data, url.searchParams);
+      const tld = parts[1].replace(/^\.+/, '').toLowerCase();
+      if (parts.length === 2) return getTld(data, tld);
+      if (parts.length === 3 && parts[2] === 'cheapest') return getCheapest(data, tld);
+    }
+    if (parts[0] === 'cheapest' && parts.length === 2) return listCheapest(data, parts[1], url.searchParams);
+    if (parts[0] === 'quote' && parts.length <= 2) return getQuotes(data, url.searchParams, parts[1]);
+    if (parts[0] === 'files') {
+      if (parts.length === 1) return listFiles(dataDir);
+      if (parts.length === 2) return { file: parts[1], body: await readDataFile(dataDir, parts[1]) };
+    }
+    throw httpError(404, `Not found: ${url.pathname}`);
+  }
+
+  const server = http.createServer(async (req, res) => {
+    let status = 200;
+    let body;
+    let type = 'application/json; charset=utf-8';
+    try {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.setHeader('Allow', 'GET, HEAD');
+        throw httpError(405, `Method not allowed: ${req.method}`);
+      }
+      const result = await route(new URL(req.url, 'http://localhost'));
+      if (result?.file) {
+        body = result.body;
+        type = result.file.endsWith('.csv') ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8';
+      } else {
+        body = Buffer.from(JSON.stringify(result));
+      }
+    } catch (err) {
+      status = err.status || 500;
+      if (status === 500) logger({ level: 'error', message: err.stack || err.message });
+      body = Buffer.from(JSON.stringify({ error: status === 500 ? 'Internal server error' : err.message }));
+    }
+
+    const etag = etagOf(body);
+    res.setHeader('ETag', etag);
+    res.setHeader('Cache-Control', 'no-cache');
+    if (status === 200 && req.headers['if-none-match'] === etag) {
+      res.writeHead(304);
+      res.end();
+      return;
+    }
+    res.writeHead(status, { 'Content-Type': type, 'Content-Length': body.length });
+    res.end(req.method === 'HEAD' ? undefined : body);
+  });
+
+  let watcher = null;
+  if (options.watch !== false) {
+    let timer = null;
+    watcher = watchDir(dataDir, () => {
+      clearTimeout(timer);
+      timer = setTimeout(reload, RELOAD_DEBOUNCE_MS);
+    });
+    server.on('close', () => {
+      clearTimeout(timer);
+      watcher.close();
+    });
+  }
+
+  const close = () => new Promise((resolve, reject) => {
+    server.close((err) => (err ? reject(err) : resolve()));
+    server.closeAllConnections?.();
+  });
+
+  return { server, reload, close, getData: () => data };
+}
@@ -0,0 +1,75 @@
+/**
+ * Loading previously generated outputs (exchange-rates.json and each
+ * registrar's *-prices.json) back from an output directory, for commands
+ * that work offline.
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import exchangeRatesGenerator from './generators/exchange-rates.js';
+
+export function snapshotPath(outDir, generator, fallback = `${generator.id}-prices.json`) {
+  return path.join(outDir, generator.defaultOutput || fallback);
+}
+
+/**
+ * Read and parse one JSON snapshot. A missing file throws with code ENOENT.
+ * @param {string} filePath
+ * @param {string} label used in error messages
+ */
+export async function readSnapshot(filePath, label) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    const missing = new Error(`No ${label} snapshot at ${filePath}; generate it first`);
+    missing.code = 'ENOENT';
+    throw missing;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Failed to parse ${label} snapshot at ${filePath}: ${err.message}`);
+  }
+}
+
+/**
+ * Fill in `meta.currency` from the generator's `defaultCurrency` when an older
+ * snapshot does not state its currency.
+ * @param {any} result
+ * @param {{ defaultCurrency?: string | null }} generator
+ */
+export function withDefaultCurrency(result, generator) {
+  const meta = result?.meta;
+  if (!meta || meta.currency || meta.data_currency || !generator?.defaultCurrency) return result;
+  return { ...result, meta: { ...meta, currency: generator.defaultCurrency } };
+}
+
+/**
+ * Load exchange rates and registrar outputs from `outDir`.
+ *
+ * @param {string} outDir
+ * @param {Array<{ id: string, label: string, defaultOutput?: string }>} generators
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=false] fail on a missing registrar snapshot instead of skipping it
+ * @param {(message: string) => void} [options.onSkip] called for each skipped registrar
+ * @returns {Promise<{ exchangeRates: any[], resultsById: Record<string, any> }>}
+ */
+export async function loadSnapshots(outDir, generators, { strict = false, onSkip = () => {} } = {}) {
+  const exchangeRates = await readSnapshot(snapshotPath(outDir, exchangeRatesGenerator), exchangeRatesGenerator.label);
+  const resultsById = {};
+  for (const generator of generators) {
+    const file = snapshotPath(outDir, generator);
+    try {
+      resultsById[generator.id] = withDefaultCurrency(await readSnapshot(file, `${generator.label} prices`), generator);
+    } catch (err) {
+      if (err.code !== 'ENOENT' || strict) throw err;
+      onSkip(`Skipping ${generator.label}: ${path.relative(process.cwd(), file)} not found`);
+    }
+  }
+  if (!Object.keys(resultsById).length) {
+    throw new Error(`No registrar snapshots found in ${outDir}`);
+  }
+  return { exchangeRates, resultsById };
+}
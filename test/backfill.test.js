@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { backfillPriceHistory, createHistoryConsolidator, historyDatasetToCsv } from '../src/backfill.js';
+
+function generatorOutput(data) {
+  return { meta: { currency: 'USD' }, data };
+}
+
+test('createHistoryConsolidator tracks first-seen, last-changed and removals', () => {
+  const consolidator = createHistoryConsolidator();
+  consolidator.add('alpha', '2026-01-01T00:00:00.000Z', generatorOutput({ com: { 'regular-price': { create: 10, renew: 12 } } }));
+  consolidator.add('alpha', '2026-02-01T00:00:00.000Z', generatorOutput({ com: { 'regular-price': { create: 10, renew: 13 } } }));
+  consolidator.add('alpha', '2026-03-01T00:00:00.000Z', generatorOutput({ com: { 'regular-price': { renew: 13 } } }));
+  consolidator.add('unified', '2026-03-01T00:00:00.000Z', [{ provider: 'alpha', tld: 'com', 'regular-price': { renew: 13 }, 'original-price': { renew: 13 } }]);
+  const { entries, versions } = consolidator.result();
+
+  assert.equal(versions.length, 4);
+  const [create, renew, unified] = entries;
+  assert.deepEqual(
+    { ...create, changes: create.changes.map((c) => c.price) },
+    { source: 'alpha', tld: 'com', tier: 'regular-price', operation: 'create', currency: 'USD', first_seen: '2026-01-01T00:00:00.000Z', last_changed: '2026-03-01T00:00:00.000Z', last_seen: '2026-02-01T00:00:00.000Z', price: 10, removed: true, changes: [10, null] },
+  );
+  assert.equal(renew.last_changed, '2026-02-01T00:00:00.000Z');
+  assert.equal(renew.last_seen, '2026-03-01T00:00:00.000Z');
+  assert.deepEqual(renew.changes.map((c) => c.price), [12, 13]);
+  assert.equal(unified.source, 'unified');
+  assert.equal(entries.length, 3);
+  assert.match(historyDatasetToCsv({ entries }).split('\n')[1], /^alpha,com,regular-price,create,USD,10,.*,true,2$/);
+});
+
+test('backfillPriceHistory replays every committed snapshot version', async () => {
+  const repo = await fs.mkdtemp(path.join(os.tmpdir(), 'backfill-'));
+  const git = (...args) => execFileSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@example.com', ...args], { cwd: repo, stdio: 'pipe' });
+  try {
+    git('init', '-q');
+    await fs.mkdir(path.join(repo, 'data'));
+    const write = (data) => fs.writeFile(path.join(repo, 'data', 'alpha-prices.json'), JSON.stringify(generatorOutput(data)));
+    await write({ com: { 'regular-price': { create: 10 } } });
+    git('add', '-A');
+    git('commit', '-q', '-m', 'first', '--date=2026-01-01T00:00:00Z');
+    await write({ com: { 'regular-price': { create: 11 } } });
+    await fs.writeFile(path.join(repo, 'README'), 'unrelated');
+    git('add', '-A');
+    git('commit', '-q', '-m', 'second');
+
+    const dataset = await backfillPriceHistory(repo);
+    assert.equal(dataset.versions.length, 2);
+    assert.deepEqual(dataset.entries.map((e) => [e.source, e.tld, e.changes.map((c) => c.price)]), [['alpha', 'com', [10, 11]]]);
+  } finally {
+    await fs.rm(repo, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateComparisonMatrix, comparisonMatrixToCsv } from '../src/generators/unified.js';
+
+function threeProviders() {
+  return {
+    alpha: { meta: { currency: 'USD' }, data: { com: { 'regular-price': { create: 10, renew: 12 } }, ng: { 'regular-price': { create: 4 } } } },
+    beta: { meta: { currency: 'USD' }, data: { com: { 'regular-price': { create: 8, renew: 15 } } } },
+    gamma: { meta: { currency: 'USD' }, data: { com: { 'regular-price': { create: 9 } } } },
+  };
+}
+
+test('generateComparisonMatrix lists every provider with cheapest, runner-up and spread', () => {
+  const matrix = generateComparisonMatrix(threeProviders());
+  assert.equal(matrix.currency, 'USD');
+  assert.deepEqual(matrix.providers, ['alpha', 'beta', 'gamma']);
+
+  const comCreate = matrix.rows.find((r) => r.tld === 'com' && r.operation === 'create');
+  assert.deepEqual(comCreate, {
+    tld: 'com',
+    operation: 'create',
+    currency: 'USD',
+    prices: { alpha: 10, beta: 8, gamma: 9 },
+    cheapest: 'beta',
+    cheapest_price: 8,
+    second_cheapest: 'gamma',
+    second_cheapest_price: 9,
+    spread: 1,
+    spread_percent: 12.5,
+  });
+
+  const ngCreate = matrix.rows.find((r) => r.tld === 'ng' && r.operation === 'create');
+  assert.equal(ngCreate.second_cheapest, null);
+  assert.equal(ngCreate.spread, null);
+  assert.equal(matrix.rows.some((r) => r.tld === 'ng' && r.operation === 'renew'), false);
+});
+
+test('comparisonMatrixToCsv writes one price column per provider', () => {
+  const lines = comparisonMatrixToCsv(generateComparisonMatrix(threeProviders(), { operations: ['renew'] })).split('\n');
+  assert.deepEqual(lines, [
+    'tld,operation,currency,alpha,beta,cheapest,second_cheapest,spread,spread_percent',
+    'com,renew,USD,12,15,alpha,beta,3,25',
+  ]);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { loadConfig, validateConfig } from '../src/config.js';
+
+async function withTempDir(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'config-'));
+  try {
+    await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('validateConfig lists every problem with its key path', () => {
+  const config = {
+    registars: ['nira'],
+    outputs: ['unified-json', 'csv'],
+    unified: { currency: 'usd', membershipTiers: { openprovider: 'supreme' } },
+    concurrency: 0,
+    generators: { godaddy: {}, namecheap: { options: 'sandbox' } },
+  };
+  assert.throws(() => validateConfig(config, { generatorIds: ['namecheap', 'nira'] }), (err) => {
+    assert.equal(err.code, 'ECONFIG');
+    assert.deepEqual(err.message.split('\n').slice(1), [
+      '  - registars: unknown key (expected one of registrars, outDir, outputs, plugins, generators, unified, pricingRules, providerRules, guard, history, historyDir, cache, concurrency, continueOnError)',
+      '  - outputs: unknown output format "csv" (expected unified-json, unified-csv, catalog, matrix)',
+      '  - unified.currency: expected a 3-letter currency code such as "USD"',
+      '  - concurrency: expected an integer of at least 1',
+      '  - generators.godaddy: unknown generator',
+      '  - generators.namecheap.options: expected an object',
+    ]);
+    return true;
+  });
+  assert.doesNotThrow(() => validateConfig({ registrars: 'nira', pricingRules: { rules: [] }, cache: true }, { generatorIds: ['nira'] }));
+});
+
+test('loadConfig discovers the JSON config and resolves paths against its directory', async () => {
+  await withTempDir(async (dir) => {
+    assert.equal(await loadConfig({ cwd: dir }), null);
+    await fs.writeFile(path.join(dir, 'registrar-pricelist.config.json'), JSON.stringify({
+      outDir: 'out',
+      providerRules: 'rules/provider.json',
+      cache: true,
+      generators: { openprovider: { options: { currency: 'EUR' } } },
+    }));
+    const loaded = await loadConfig({ cwd: dir });
+    assert.equal(loaded.path, path.join(dir, 'registrar-pricelist.config.json'));
+    assert.equal(loaded.config.outDir, path.join(dir, 'out'));
+    assert.equal(loaded.config.providerRules, path.join(dir, 'rules/provider.json'));
+    assert.equal(loaded.config.cache, path.join(dir, '.cache/http'));
+    assert.deepEqual(loaded.config.generators.openprovider.options, { currency: 'EUR' });
+  });
+});
+
+test('loadConfig imports JS configs and reports missing or broken files', async () => {
+  await withTempDir(async (dir) => {
+    await fs.writeFile(path.join(dir, 'prices.config.js'), "export default async () => ({ registrars: ['nira'], history: false });\n");
+    const loaded = await loadConfig({ cwd: dir, file: 'prices.config.js', generatorIds: ['nira'] });
+    assert.deepEqual(loaded.config, { registrars: ['nira'], history: false });
+
+    await assert.rejects(loadConfig({ cwd: dir, file: 'missing.json' }), { code: 'ECONFIG', message: `Config file not found: ${path.join(dir, 'missing.json')}` });
+    await fs.writeFile(path.join(dir, 'broken.json'), '{ "outDir": ');
+    await assert.rejects(loadConfig({ cwd: dir, file: 'broken.json' }), { code: 'ECONFIG', message: /^Failed to parse config/ });
+  });
+});
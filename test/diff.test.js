@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffPriceSnapshots, diffReportToCsv, diffReportToMarkdown } from '../src/diff.js';
+
+test('diffPriceSnapshots reports added/removed TLDs and price deltas for generator outputs', () => {
+  const before = {
+    meta: {},
+    data: {
+      com: { 'regular-price': { create: 10, renew: 12 }, 'member-price': { create: 8 } },
+      net: { 'regular-price': { create: 11 } },
+    },
+  };
+  const after = {
+    meta: {},
+    data: {
+      com: { 'regular-price': { create: 12.5, renew: 12 }, 'member-price': { create: 8 } },
+      org: { 'regular-price': { create: 9 } },
+    },
+  };
+  const report = diffPriceSnapshots(before, after);
+  assert.equal(report.kind, 'generator');
+  assert.deepEqual(report.added_tlds, ['org']);
+  assert.deepEqual(report.removed_tlds, ['net']);
+  assert.deepEqual(report.price_changes, [
+    { tld: 'com', tier: 'regular-price', operation: 'create', old_price: 10, new_price: 12.5, delta: 2.5, percent: 25 },
+  ]);
+  assert.deepEqual(report.provider_changes, []);
+});
+
+test('diffPriceSnapshots tracks provider winner changes in unified lists', () => {
+  const before = [{ provider: 'alpha', tld: 'ng', 'regular-price': { create: 10 } }];
+  const after = [{ provider: 'beta', tld: 'ng', 'regular-price': { create: 8, renew: 9 } }];
+  const report = diffPriceSnapshots(before, after);
+  assert.equal(report.kind, 'unified');
+  assert.deepEqual(report.provider_changes, [{ tld: 'ng', old_provider: 'alpha', new_provider: 'beta' }]);
+  assert.equal(report.price_changes.length, 2);
+  const renew = report.price_changes.find((c) => c.operation === 'renew');
+  assert.deepEqual(renew, { tld: 'ng', tier: 'regular-price', operation: 'renew', old_price: null, new_price: 9, delta: null, percent: null });
+
+  const csv = diffReportToCsv(report).split('\n');
+  assert.equal(csv[0], 'change,tld,tier,operation,old_price,new_price,delta,percent,old_provider,new_provider');
+  assert.ok(csv.includes('provider,ng,,,,,,,alpha,beta'));
+  assert.match(diffReportToMarkdown(report), /\| ng \| alpha \| beta \|/);
+});
+
+test('diffPriceSnapshots refuses to compare different snapshot shapes', () => {
+  assert.throws(() => diffPriceSnapshots([], { data: {} }), /Cannot diff a unified snapshot against a generator snapshot/);
+});
+
+test('diffReportToCsv quotes fields that contain commas or quotes', () => {
+  const report = {
+    added_tlds: [],
+    removed_tlds: [],
+    price_changes: [],
+    provider_changes: [{ tld: 'com', old_provider: 'acme, inc', new_provider: 'the "best" one' }],
+  };
+  assert.equal(diffReportToCsv(report).split('\n')[1], 'provider,com,,,,,,,"acme, inc","the ""best"" one"');
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { forecastRenewals, forecastToCsv, parseInventoryCsv } from '../src/forecast.js';
+
+function results() {
+  const usd = (data) => ({ meta: { currency: 'USD' }, data });
+  return {
+    alpha: usd({
+      com: { 'regular-price': { create: 10, renew: 15, transfer: 10 } },
+      ng: { 'regular-price': { create: 20, renew: 20, transfer: 20 } },
+    }),
+    beta: usd({
+      com: { 'regular-price': { create: 11, renew: 12, transfer: 9 } },
+      'com.ng': { 'regular-price': { create: 5, renew: 5, transfer: 5 } },
+    }),
+  };
+}
+
+test('parseInventoryCsv maps common header spellings', () => {
+  const inventory = parseInventoryCsv('Domain,Registrar,Expiry Date\nexample.com,Alpha,2027-01-15\n\n');
+  assert.deepEqual(inventory, [{ domain: 'example.com', registrar: 'Alpha', expires: '2027-01-15' }]);
+  assert.throws(() => parseInventoryCsv('domain,registrar\na.com,alpha'), /missing a expiry date column/);
+});
+
+test('forecastRenewals buckets renewals by month for both scenarios', () => {
+  const inventory = [
+    { domain: 'example.com', registrar: 'alpha', expires: '2027-01-15' },
+    { domain: 'shop.com.ng', registrar: 'beta', expires: '2026-03-01' },
+  ];
+  const forecast = forecastRenewals(inventory, results(), { years: 2, start: '2026-10-19' });
+  assert.equal(forecast.currency, 'USD');
+  assert.equal(forecast.months.length, 25);
+  const busy = forecast.months.filter((m) => m.renewals > 0).map((m) => [m.month, m.renewals, m.current_cost, m.cheapest_cost]);
+  assert.deepEqual(busy, [
+    // The expired com.ng renewal is due right away, then yearly from its expiry.
+    ['2026-10', 1, 5, 5],
+    ['2027-01', 1, 15, 12],
+    ['2027-03', 1, 5, 5],
+    ['2028-01', 1, 15, 12],
+    ['2028-03', 1, 5, 5],
+  ]);
+  assert.deepEqual(forecast.totals, {
+    domains: 2,
+    renewals: 5,
+    current_cost: 45,
+    cheapest_cost: 39,
+    savings: 6,
+    transfer_savings: 9,
+    unpriced_domains: 0,
+  });
+  assert.match(forecastToCsv(forecast).split('\n')[0], /^month,renewals,current_cost,cheapest_cost,savings,unpriced$/);
+});
+
+test('forecastRenewals lists transfers that beat renewing in place', () => {
+  const inventory = [{ domain: 'example.com', registrar: 'alpha', expires: '2027-01-15' }];
+  const { transfer_candidates: [candidate] } = forecastRenewals(inventory, results(), { years: 2, start: '2026-10-19' });
+  assert.deepEqual(candidate, {
+    domain: 'example.com',
+    tld: 'com',
+    registrar: 'alpha',
+    expires: '2027-01-15',
+    to: 'beta',
+    transfer_price: 9,
+    renew_price: 12,
+    move_cost: 21,
+    stay_cost: 30,
+    savings: 9,
+  });
+});
+
+test('forecastRenewals reports domains it cannot price', () => {
+  const inventory = [
+    { domain: 'a.com', registrar: 'gamma', expires: '2027-01-01' },
+    { domain: 'b.com', registrar: 'alpha', expires: 'soon' },
+    { domain: 'c.zz', registrar: 'alpha', expires: '2027-01-01' },
+  ];
+  const forecast = forecastRenewals(inventory, results(), { start: '2026-10-19' });
+  assert.equal(forecast.domains[0].current_renew, null);
+  assert.equal(forecast.domains[0].cheapest_provider, 'beta');
+  assert.match(forecast.domains[1].error, /Invalid expiry date/);
+  assert.match(forecast.domains[2].error, /No prices for the TLD/);
+  assert.equal(forecast.totals.unpriced_domains, 3);
+  assert.equal(forecast.months.find((m) => m.month === '2027-01').unpriced, 1);
+});
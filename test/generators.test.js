@@ -0,0 +1,78 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { setHttpFixtures } from '../src/http.js';
+import { generateUnifiedList, getRegistrarGenerator } from '../src/generators/index.js';
+import exchangeRatesGenerator from '../src/generators/exchange-rates.js';
+
+// Every generator runs against the hand-made responses in test/fixtures/http.
+// They are trimmed to a few TLDs and currencies so the assertions below can pin
+// exact values; edit them by hand (see test/fixtures/http/README.md) rather
+// than re-recording, which would replace them with full upstream payloads.
+const FIXTURES_DIR = fileURLToPath(new URL('./fixtures/http/', import.meta.url));
+const NAMECHEAP_ENV = {
+  NAMECHEAP_API_USER: 'user',
+  NAMECHEAP_API_KEY: 'key',
+  NAMECHEAP_USERNAME: 'user',
+  NAMECHEAP_CLIENT_IP: '127.0.0.1',
+};
+
+const realFetch = globalThis.fetch;
+before(() => {
+  setHttpFixtures({ mode: 'replay', dir: FIXTURES_DIR });
+  globalThis.fetch = () => Promise.reject(new Error('Network access during replay'));
+});
+after(() => {
+  setHttpFixtures(null);
+  globalThis.fetch = realFetch;
+});
+
+test('namecheap parses the TLD list and every pricing action', async () => {
+  const result = await getRegistrarGenerator('namecheap').generate({ env: NAMECHEAP_ENV });
+  assert.equal(result.meta.currency, 'USD');
+  assert.equal(result.meta.tlds_total, 3);
+  // uk is not API-registerable and is left out.
+  assert.deepEqual(Object.keys(result.data).sort(), ['com', 'io']);
+  assert.deepEqual(result.data.com['regular-price'], { create: 11.28, renew: 16.48, transfer: 11.28, restore: 20.48 });
+  // By-years tables hold the term total: Namecheap's per-year (MULTIPLE) prices are
+  // multiplied by the duration, ABSOLUTE ones are already totals.
+  assert.deepEqual(result.data.com['sale-price-by-years'].create, { 1: 10.28, 2: 24.56, 3: 35.84 });
+  assert.deepEqual(result.data.com['regular-price-by-years'].renew, { 1: 16.48, 2: 32.96 });
+  assert.equal(result.data.com.maxYears, 10);
+  assert.equal(result.data.io['sale-price'].create, 34.98);
+});
+
+test('openprovider parses sheet prices, membership tiers and promos', async () => {
+  const result = await getRegistrarGenerator('openprovider').generate({ env: {} });
+  assert.deepEqual(Object.keys(result.data), ['com', 'io', 'ng']);
+  assert.deepEqual(result.data.com['regular-price'], { create: 10.49, renew: 11.49, transfer: 10.49 });
+  assert.deepEqual(result.data.com['regular-price-by-years'].create, { 1: 10.49, 2: 21.98 });
+  assert.equal(result.data.com['membership-price'].supreme.renew, 9.89);
+  assert.deepEqual(result.data.io['promo-price'], { create: 19 });
+  assert.deepEqual(result.data.io['promo-expires'], { create: '2099-12-31' });
+  assert.deepEqual(result.data.ng['member-price'], {});
+});
+
+test('exchange rates merge country currencies with FX rates', async () => {
+  const rates = await exchangeRatesGenerator.generate({ env: {}, logger: () => {} });
+  assert.deepEqual(rates.map((r) => [r.countryCode, r.currencyCode, r.exchangeRate]), [
+    ['DE', 'EUR', 0.858],
+    ['GB', 'GBP', 0.745],
+    ['NG', 'NGN', 1466.5],
+  ]);
+  assert.equal(rates[2].currencySymbol, '₦');
+});
+
+test('all generators feed a unified list end to end', async () => {
+  const exchangeRates = await exchangeRatesGenerator.generate({ env: {} });
+  const resultsById = {
+    namecheap: await getRegistrarGenerator('namecheap').generate({ env: NAMECHEAP_ENV }),
+    openprovider: await getRegistrarGenerator('openprovider').generate({ env: {} }),
+    nira: await getRegistrarGenerator('nira').generate({ options: { exchangeRates } }),
+  };
+  assert.deepEqual(resultsById.nira.NGN['com.ng']['regular-price'], { create: 6000, renew: 6000, transfer: 6000 });
+
+  const unified = generateUnifiedList(resultsById, { exchangeRates });
+  const winners = Object.fromEntries(unified.filter((e) => ['com', 'io', 'ng', 'com.ng'].includes(e.tld)).map((e) => [e.tld, e.provider]));
+  assert.deepEqual(winners, { com: 'openprovider', io: 'openprovider', ng: 'nira', 'com.ng': 'nira' });
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkSnapshotSafety } from '../src/guard.js';
+
+function snapshot(tlds, price = 10) {
+  const data = {};
+  for (const tld of tlds) {
+    data[tld] = { 'regular-price': { create: price, renew: price, update: 0 } };
+  }
+  return { meta: {}, data };
+}
+
+test('checkSnapshotSafety passes an unchanged snapshot', () => {
+  const prev = snapshot(['com', 'net', 'org']);
+  assert.deepEqual(checkSnapshotSafety(prev, snapshot(['com', 'net', 'org'])), { ok: true, violations: [] });
+});
+
+test('checkSnapshotSafety trips when the TLD count drops past the limit', () => {
+  const prev = snapshot(['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j']);
+  const next = snapshot(['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']);
+  const result = checkSnapshotSafety(prev, next);
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.violations.map((v) => v.rule), ['tld-drop']);
+  assert.equal(checkSnapshotSafety(prev, next, { maxTldDropPct: 25 }).ok, true);
+});
+
+test('checkSnapshotSafety trips when too many prices move by more than the threshold', () => {
+  const prev = snapshot(['com', 'net']);
+  const next = snapshot(['com', 'net'], 30);
+  const result = checkSnapshotSafety(prev, next, { maxPriceChanges: 3 });
+  assert.deepEqual(result.violations.map((v) => v.rule), ['price-changes']);
+  assert.equal(result.violations[0].details.length, 4);
+  assert.equal(checkSnapshotSafety(prev, next, { maxPriceChanges: 4 }).ok, true);
+});
+
+test('checkSnapshotSafety flags prices that become zero or negative but tolerates existing zeros', () => {
+  const prev = snapshot(['com']);
+  const next = snapshot(['com']);
+  next.data.com['regular-price'].renew = 0;
+  next.data.com['regular-price'].transfer = -1;
+  const result = checkSnapshotSafety(prev, next);
+  assert.deepEqual(result.violations.map((v) => v.rule), ['non-positive-price']);
+  assert.deepEqual(result.violations[0].details.map((d) => d.operation).sort(), ['renew', 'transfer']);
+});
+
+test('checkSnapshotSafety compares unified lists on converted prices only', () => {
+  const entry = (provider, currency, original, regular) => ({
+    tld: 'com', provider, currency: 'USD', 'original-currency': currency, 'original-price': original, 'regular-price': regular,
+  });
+  const prev = [entry('alpha', 'USD', { create: 10, renew: 12 }, { create: 10, renew: 12 })];
+  // The winner switches to an NGN provider: original-price jumps ~1500x, converted prices barely move.
+  const switched = [entry('beta', 'NGN', { create: 14250, renew: 17250 }, { create: 9.5, renew: 11.5 })];
+  assert.deepEqual(checkSnapshotSafety(prev, switched, { maxPriceChanges: 0 }), { ok: true, violations: [] });
+
+  const free = [entry('beta', 'NGN', { create: 14250, renew: 0 }, { create: 9.5, renew: 0 })];
+  const [violation] = checkSnapshotSafety(prev, free).violations;
+  assert.equal(violation.rule, 'non-positive-price');
+  assert.deepEqual(violation.details, [{ tld: 'com', tier: 'regular-price', operation: 'renew', old_price: 12, new_price: 0 }]);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { priceAt, queryPriceHistory, readProviderHistory, recordHistory } from '../src/history.js';
+
+function snapshot(generatedAt, data, extra = {}) {
+  return { meta: { currency: 'USD', generated_at: generatedAt }, data, ...extra };
+}
+
+async function withHistoryDir(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'price-history-'));
+  try {
+    await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('recordHistory stores only changed prices per run', () => withHistoryDir(async (dir) => {
+  const first = await recordHistory(dir, 'alpha', snapshot('2026-01-01T06:00:00Z', {
+    com: { 'regular-price': { create: 10, renew: 12 } },
+  }, { NGN: { com: { 'regular-price': { create: 15000 } } } }));
+  assert.deepEqual(first, { at: '2026-01-01T06:00:00.000Z', changes: 3 });
+
+  const unchanged = await recordHistory(dir, 'alpha', snapshot('2026-01-02T06:00:00Z', {
+    com: { 'regular-price': { create: 10, renew: 12 } },
+  }, { NGN: { com: { 'regular-price': { create: 15000 } } } }));
+  assert.equal(unchanged.changes, 0);
+
+  await recordHistory(dir, 'alpha', snapshot('2026-02-01T06:00:00Z', {
+    com: { 'regular-price': { create: 11 }, 'membership-price': { pro: { create: 9 } } },
+  }));
+  const runs = await readProviderHistory(dir, 'alpha');
+  assert.equal(runs.length, 3);
+  assert.deepEqual(runs[2].changes, [
+    ['com', 'membership-price.pro', 'create', 'USD', 9],
+    ['com', 'regular-price', 'create', 'NGN', null],
+    ['com', 'regular-price', 'create', 'USD', 11],
+    ['com', 'regular-price', 'renew', 'USD', null],
+  ]);
+
+  await assert.rejects(recordHistory(dir, 'alpha', snapshot('2025-12-31T00:00:00Z', {})), /already has a run/);
+}));
+
+test('queryPriceHistory returns the price in effect at the start plus later changes', () => withHistoryDir(async (dir) => {
+  await recordHistory(dir, 'alpha', snapshot('2026-01-01T00:00:00Z', { com: { 'regular-price': { create: 10 } } }));
+  await recordHistory(dir, 'alpha', snapshot('2026-02-01T00:00:00Z', { com: { 'regular-price': { create: 11 } } }));
+  await recordHistory(dir, 'alpha', snapshot('2026-03-01T00:00:00Z', { com: { 'regular-price': { create: 12 } } }));
+  await recordHistory(dir, 'beta', snapshot('2026-01-15T00:00:00Z', { com: { 'regular-price': { create: 9 } }, io: { 'regular-price': { create: 30 } } }));
+
+  const series = await queryPriceHistory(dir, { tld: 'com', from: '2026-01-20', to: '2026-02-15' });
+  assert.deepEqual(series.map((s) => [s.provider, s.points.map((p) => p.price)]), [
+    ['alpha', [10, 11]],
+    ['beta', [9]],
+  ]);
+  const alphaOnly = await queryPriceHistory(dir, { tld: 'com', provider: 'alpha' });
+  assert.deepEqual(alphaOnly[0].points.map((p) => p.at), ['2026-01-01T00:00:00.000Z', '2026-02-01T00:00:00.000Z', '2026-03-01T00:00:00.000Z']);
+}));
+
+test('priceAt reports each price in effect on a date and since when', () => withHistoryDir(async (dir) => {
+  await recordHistory(dir, 'alpha', snapshot('2026-01-01T00:00:00Z', { com: { 'regular-price': { create: 10, renew: 12 } } }));
+  await recordHistory(dir, 'alpha', snapshot('2026-02-01T00:00:00Z', { com: { 'regular-price': { create: 11, renew: 12 } } }));
+
+  const prices = await priceAt(dir, { tld: 'com', at: '2026-02-10', operation: 'create' });
+  assert.deepEqual(prices, [
+    { provider: 'alpha', tld: 'com', tier: 'regular-price', operation: 'create', currency: 'USD', price: 11, since: '2026-02-01T00:00:00.000Z' },
+  ]);
+  assert.deepEqual(await priceAt(dir, { tld: 'com', at: '2025-06-01' }), []);
+  assert.deepEqual((await priceAt(dir, { tld: 'com', at: '2026-01-15' })).map((p) => p.price), [10, 12]);
+}));
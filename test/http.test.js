@@ -0,0 +1,177 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { backoffDelay, fetchWithRetry, isRetryableError, parseRetryAfter, sanitizeRequest, setHostRateLimit, setHttpCache, setHttpFixtures } from '../src/http.js';
+
+const realFetch = globalThis.fetch;
+afterEach(() => {
+  setHttpFixtures(null);
+  setHttpCache(null);
+  globalThis.fetch = realFetch;
+});
+
+test('sanitizeRequest redacts credentials in the query and headers', () => {
+  const { url, secrets } = sanitizeRequest('https://api.example.com/x?ApiKey=abc123&Command=list#frag', { Authorization: 'Bearer tok-9' });
+  assert.equal(url, 'https://api.example.com/x?ApiKey=REDACTED&Command=list');
+  assert.deepEqual(secrets, ['abc123', 'Bearer tok-9', 'tok-9']);
+});
+
+test('records sanitized fixtures and replays them without the network', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'http-fixtures-'));
+  try {
+    globalThis.fetch = async () => new Response('<user>alice-account</user>', { status: 200, headers: { 'content-type': 'text/xml' } });
+    setHttpFixtures({ mode: 'record', dir });
+    const recorded = await fetchWithRetry('https://api.example.com/x?UserName=alice-account&Command=list');
+    assert.equal(await recorded.text(), '<user>REDACTED</user>');
+
+    const [file] = await fs.readdir(dir);
+    const text = await fs.readFile(path.join(dir, file), 'utf8');
+    assert.doesNotMatch(text, /alice-account/);
+    assert.equal(JSON.parse(text).response.headers['content-type'], 'text/xml');
+
+    globalThis.fetch = () => Promise.reject(new Error('network used'));
+    setHttpFixtures({ mode: 'replay', dir });
+    // Different credentials still match the recorded request.
+    const replayed = await fetchWithRetry('https://api.example.com/x?UserName=bob&Command=list');
+    assert.equal(await replayed.text(), '<user>REDACTED</user>');
+
+    await assert.rejects(
+      fetchWithRetry('https://api.example.com/x?Command=other', { backoffMs: 1 }),
+      (err) => err.code === 'EFIXTURE' && /No recorded fixture/.test(err.message),
+    );
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('setHttpFixtures rejects unknown modes', () => {
+  assert.throws(() => setHttpFixtures({ mode: 'live' }), /Unknown HTTP fixture mode/);
+});
+
+function stubFetch(responses) {
+  const calls = [];
+  globalThis.fetch = async (url, init) => {
+    calls.push({ url: String(url), at: Date.now() });
+    const next = responses.shift();
+    return typeof next === 'function' ? next(init) : next;
+  };
+  return calls;
+}
+
+test('does not retry fatal HTTP errors', async () => {
+  const calls = stubFetch([new Response('nope', { status: 404 }), new Response('ok')]);
+  await assert.rejects(fetchWithRetry('https://fatal.example/x', { backoffMs: 1 }), (err) => err.status === 404);
+  assert.equal(calls.length, 1);
+  assert.equal(isRetryableError({ status: 403 }), false);
+  assert.equal(isRetryableError({ status: 502 }), true);
+  assert.equal(isRetryableError(new TypeError('fetch failed')), true);
+});
+
+test('honours Retry-After and gives up when it is too long', async () => {
+  const calls = stubFetch([new Response('', { status: 429, headers: { 'retry-after': '0.05' } }), new Response('ok')]);
+  const res = await fetchWithRetry('https://throttled.example/x', { backoffMs: 1, jitter: 0 });
+  assert.equal(await res.text(), 'ok');
+  assert.ok(calls[1].at - calls[0].at >= 45);
+
+  stubFetch([new Response('', { status: 503, headers: { 'retry-after': '3600' } })]);
+  await assert.rejects(fetchWithRetry('https://throttled.example/y', { backoffMs: 1 }), /Retry-After 3600s exceeds/);
+  assert.equal(parseRetryAfter('Wed, 21 Oct 2026 07:28:00 GMT', Date.parse('2026-10-21T07:27:00Z')), 60000);
+  assert.equal(parseRetryAfter('soon'), null);
+});
+
+test('times out hung requests and retries them', async () => {
+  const hang = (init) => new Promise((_, reject) => init.signal.addEventListener('abort', () => reject(init.signal.reason)));
+  const calls = stubFetch([hang, new Response('ok')]);
+  const res = await fetchWithRetry('https://slow.example/x', { timeoutMs: 20, backoffMs: 1 });
+  assert.equal(await res.text(), 'ok');
+  assert.equal(calls.length, 2);
+
+  stubFetch([hang]);
+  await assert.rejects(fetchWithRetry('https://slow.example/y', { timeoutMs: 20, retries: 0 }), (err) => err.code === 'ETIMEDOUT');
+});
+
+test('times out a body that stalls after the headers arrive', async () => {
+  // Headers and the first chunk arrive at once; the rest never does, as with a stalled CSV download.
+  const stall = (init) => new Response(new ReadableStream({
+    start(controller) {
+      controller.enqueue(new TextEncoder().encode('tld,price\ncom,'));
+      init.signal.addEventListener('abort', () => controller.error(init.signal.reason));
+    },
+  }));
+  const calls = stubFetch([stall, new Response('tld,price\ncom,10\n')]);
+  const res = await fetchWithRetry('https://stall.example/sheet.csv', { timeoutMs: 30, backoffMs: 1 });
+  assert.equal(await res.text(), 'tld,price\ncom,10\n');
+  assert.equal(calls.length, 2);
+
+  stubFetch([stall]);
+  await assert.rejects(fetchWithRetry('https://stall.example/other.csv', { timeoutMs: 30, retries: 0 }), (err) => err.code === 'ETIMEDOUT');
+});
+
+test('spaces requests to a rate-limited host', async () => {
+  setHostRateLimit('limited.example', 40);
+  try {
+    const calls = stubFetch([new Response('a'), new Response('b'), new Response('c')]);
+    await Promise.all([1, 2, 3].map((n) => fetchWithRetry(`https://limited.example/${n}`)));
+    assert.ok(calls[1].at - calls[0].at >= 35);
+    assert.ok(calls[2].at - calls[1].at >= 35);
+  } finally {
+    setHostRateLimit('limited.example', 0);
+  }
+});
+
+test('reports the size and SHA-256 of each fetched payload to the logger', async () => {
+  stubFetch([new Response('hello')]);
+  const entries = [];
+  const res = await fetchWithRetry('https://api.example.com/x?ApiKey=secret', { logger: (entry) => entries.push(entry) });
+  assert.equal(await res.text(), 'hello');
+  const { fetch } = entries.find((entry) => entry.fetch);
+  assert.equal(fetch.url, 'https://api.example.com/x?ApiKey=REDACTED');
+  assert.equal(fetch.bytes, 5);
+  assert.equal(fetch.sha256, '2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824');
+  assert.equal(fetch.source, 'network');
+});
+
+test('backoffDelay spreads retries around the exponential delay', () => {
+  assert.equal(backoffDelay(2, 100, 0.25, () => 0.5), 400);
+  assert.equal(backoffDelay(2, 100, 0.25, () => 0), 300);
+  assert.equal(backoffDelay(2, 100, 0.25, () => 1), 500);
+});
+
+test('revalidates cached responses and falls back to them during outages', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'http-cache-'));
+  try {
+    setHttpCache({ dir });
+    const seen = [];
+    const calls = stubFetch([
+      new Response('tld,price', { status: 200, headers: { etag: '"v1"', 'content-type': 'text/csv' } }),
+      (init) => {
+        seen.push(init.headers['if-none-match']);
+        return new Response(null, { status: 304 });
+      },
+      new Response('', { status: 503 }),
+      new Response('', { status: 404 }),
+    ]);
+    const url = 'https://sheet.example/export?format=csv';
+    assert.equal(await (await fetchWithRetry(url)).text(), 'tld,price');
+
+    const revalidated = await fetchWithRetry(url);
+    assert.deepEqual(seen, ['"v1"']);
+    assert.equal(revalidated.headers.get('x-cache'), 'revalidated');
+    assert.equal(await revalidated.text(), 'tld,price');
+
+    const logs = [];
+    const stale = await fetchWithRetry(url, { retries: 0, logger: (entry) => logs.push(entry) });
+    assert.equal(stale.headers.get('x-cache'), 'stale');
+    assert.equal(await stale.text(), 'tld,price');
+    assert.equal(logs[0].level, 'warn');
+    assert.match(logs[0].message, /Serving cached copy .* HTTP 503/);
+
+    // A fatal error means the resource is gone, not that the source is down.
+    await assert.rejects(fetchWithRetry(url, { retries: 0 }), (err) => err.status === 404);
+    assert.equal(calls.length, 4);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
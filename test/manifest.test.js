@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { buildManifest, describeFile, sha256, verifyManifest } from '../src/manifest.js';
+
+test('describeFile hashes content and counts TLDs or rows', () => {
+  const output = JSON.stringify({ meta: {}, data: { com: {}, net: {} } });
+  assert.deepEqual(describeFile('openprovider-prices.json', output), { path: 'openprovider-prices.json', sha256: sha256(output), bytes: output.length, tlds: 2 });
+  assert.equal(describeFile('unified-prices.json', '[{"tld":"com"}]').rows, 1);
+  assert.equal(describeFile('unified-create-prices.csv', 'tld,provider\ncom,a\nnet,b\n').rows, 2);
+});
+
+test('buildManifest keeps entries the run did not touch', () => {
+  const previous = buildManifest(null, {
+    generatedAt: '2026-10-18T06:00:00.000Z',
+    package: { name: 'registrar-pricelist', version: '0.2.0' },
+    options: {},
+    exchangeRates: { path: 'exchange-rates.json', sha256: 'r1', source: 'generated' },
+    generators: [{ id: 'openprovider', status: 'ok' }, { id: 'nira', status: 'ok' }],
+    files: [{ path: 'openprovider-prices.json', sha256: 'a' }, { path: 'unified-prices.json', sha256: 'u1' }],
+  });
+  const next = buildManifest(previous, {
+    generatedAt: '2026-10-19T06:00:00.000Z',
+    package: { name: 'registrar-pricelist', version: '0.3.0' },
+    options: { fromSnapshots: true },
+    generators: [],
+    files: [{ path: 'unified-prices.json', sha256: 'u2' }],
+  });
+  assert.equal(next.package.version, '0.3.0');
+  assert.equal(next.exchange_rates.sha256, 'r1');
+  assert.deepEqual(next.generators.map((g) => g.id), ['nira', 'openprovider']);
+  assert.deepEqual(next.files, [{ path: 'openprovider-prices.json', sha256: 'a' }, { path: 'unified-prices.json', sha256: 'u2' }]);
+});
+
+test('verifyManifest reports modified and missing files', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'manifest-'));
+  try {
+    await fs.writeFile(path.join(dir, 'a.csv'), 'tld\ncom\n');
+    await fs.writeFile(path.join(dir, 'b.csv'), 'tld\nnet\n');
+    const manifest = { files: [describeFile('a.csv', 'tld\ncom\n'), describeFile('b.csv', 'tld\norg\n'), describeFile('c.csv', '')] };
+    const results = await verifyManifest(dir, manifest);
+    assert.deepEqual(results.map((r) => [r.path, r.status]), [['a.csv', 'ok'], ['b.csv', 'modified'], ['c.csv', 'missing']]);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createRegistrarPriceGenerator, generateUnifiedList, getRegistrarGenerator, listRegistrarIds, registerRegistrarGenerator } from '../src/generators/index.js';
+import { collectPluginGenerators, loadPlugins } from '../src/plugins.js';
+
+const fakeGenerator = (id, label, extra = {}) => createRegistrarPriceGenerator({
+  id,
+  label,
+  ...extra,
+  async generate() {
+    return { meta: { currency: 'USD' }, data: { com: { 'regular-price': { create: 1, renew: 2 } } } };
+  },
+});
+
+test('registerRegistrarGenerator rejects malformed and clashing generators', () => {
+  assert.throws(() => registerRegistrarGenerator({ id: 'acme', label: 'Acme' }), TypeError);
+  assert.throws(() => registerRegistrarGenerator({ id: 'Acme Inc', label: 'Acme', generate() {} }), /Invalid generator id/);
+  assert.throws(() => registerRegistrarGenerator(fakeGenerator('acme', 'Acme', { defaultOutput: '../acme.json' })), /invalid defaultOutput/);
+
+  const clashes = [
+    [fakeGenerator('nira', 'Another NIRA'), 'id "nira" is already registered'],
+    [fakeGenerator('exchange-rates', 'Rates'), 'id "exchange-rates" is reserved'],
+    [fakeGenerator('acme', 'namecheap'), 'label "namecheap" is already used by another generator'],
+    [fakeGenerator('acme', 'Acme', { defaultOutput: 'manifest.json' }), 'output file "manifest.json" is already written by another generator'],
+  ];
+  for (const [generator, message] of clashes) {
+    assert.throws(() => registerRegistrarGenerator(generator), { code: 'EDUPLICATE', message: `Cannot register generator: ${message}` });
+  }
+  assert.equal(getRegistrarGenerator('acme'), null);
+});
+
+test('collectPluginGenerators reads default, named and array exports once', () => {
+  const a = fakeGenerator('a', 'A');
+  const b = fakeGenerator('b', 'B');
+  assert.deepEqual(collectPluginGenerators({ default: a, a, all: [a, b], helper: () => {} }), [a, b]);
+});
+
+test('loadPlugins registers plugin generators alongside the built-ins', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'plugins-'));
+  const generatorsUrl = new URL('../src/generators/index.js', import.meta.url).href;
+  try {
+    await fs.writeFile(path.join(dir, 'acme.mjs'), [
+      `import { createRegistrarPriceGenerator } from '${generatorsUrl}';`,
+      'export default createRegistrarPriceGenerator({',
+      "  id: 'acme',",
+      "  label: 'Acme Domains',",
+      "  generate: async () => ({ meta: { currency: 'USD' }, data: { com: { 'regular-price': { create: 4, renew: 9 } } } }),",
+      '});',
+      '',
+    ].join('\n'));
+    await fs.writeFile(path.join(dir, 'empty.mjs'), 'export const answer = 42;\n');
+
+    assert.deepEqual(await loadPlugins(['./acme.mjs'], { cwd: dir }), [{ spec: './acme.mjs', ids: ['acme'] }]);
+    assert.deepEqual(listRegistrarIds().slice(-1), ['acme']);
+
+    const acme = getRegistrarGenerator('acme');
+    const resultsById = {
+      acme: await acme.generate(),
+      namecheap: { meta: { currency: 'USD' }, data: { com: { 'regular-price': { create: 5, renew: 8 } } } },
+    };
+    assert.equal(generateUnifiedList(resultsById)[0].provider, 'acme');
+
+    await assert.rejects(loadPlugins(['./acme.mjs'], { cwd: dir }), { code: 'EPLUGIN', message: 'Plugin ./acme.mjs: Cannot register generator: id "acme" is already registered' });
+    await assert.rejects(loadPlugins(['./empty.mjs'], { cwd: dir }), { code: 'EPLUGIN', message: 'Plugin ./empty.mjs does not export a RegistrarPriceGenerator' });
+    await assert.rejects(loadPlugins(['./missing.mjs'], { cwd: dir }), { code: 'EPLUGIN', message: /^Failed to load plugin \.\/missing\.mjs/ });
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('a plain-object plugin falls back to its <id>-prices.json snapshot under --continue-on-error', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'plugins-cli-'));
+  const cli = fileURLToPath(new URL('../src/cli.js', import.meta.url));
+  const snapshot = { meta: { currency: 'USD', generated_at: '2026-10-01T06:00:00.000Z' }, data: { com: { 'regular-price': { create: 3, renew: 4 } } } };
+  try {
+    // No defaultOutput: registration has to fill it in for the fallback and manifest to agree.
+    await fs.writeFile(path.join(dir, 'plain.mjs'), "export default { id: 'plain', label: 'Plain', generate: async () => { throw new Error('upstream down'); } };\n");
+    await fs.mkdir(path.join(dir, 'out'));
+    await fs.writeFile(path.join(dir, 'out', 'plain-prices.json'), JSON.stringify(snapshot));
+
+    const { code, stdout } = await new Promise((resolve) => {
+      execFile(process.execPath, [cli, '--plugin=./plain.mjs', '--registrars=plain', '--continue-on-error', '--outDir=out', '--unified', '--no-history'], {
+        cwd: dir,
+        timeout: 30000,
+        env: { ...process.env, REGISTRAR_HTTP_FIXTURES: 'replay', REGISTRAR_HTTP_FIXTURES_DIR: fileURLToPath(new URL('./fixtures/http/', import.meta.url)) },
+      }, (err, out) => resolve({ code: err ? err.code : 0, stdout: out }));
+    });
+    assert.equal(code, 2, stdout);
+    const unified = JSON.parse(await fs.readFile(path.join(dir, 'out', 'unified-prices.json'), 'utf8'));
+    assert.equal(unified[0]['stale-since'], '2026-10-01T06:00:00.000Z');
+    const manifest = JSON.parse(await fs.readFile(path.join(dir, 'out', 'manifest.json'), 'utf8'));
+    const entry = manifest.generators.find((g) => g.id === 'plain');
+    assert.equal(entry.status, 'fallback');
+    assert.equal(entry.output, 'plain-prices.json');
+    assert.ok(manifest.files.some((f) => f.path === 'plain-prices.json'));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
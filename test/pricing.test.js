@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyPricingRules, computeSellPrice, parseRoundingMode, resolvePricingRule, validatePricingRules } from '../src/pricing.js';
+
+test('parseRoundingMode supports charm, nearest, up and down steps', () => {
+  assert.equal(parseRoundingMode('charm-99')(12.2), 12.99);
+  assert.equal(parseRoundingMode('charm-99')(12.99), 12.99);
+  assert.equal(parseRoundingMode('charm-99')(13.001), 13.99);
+  assert.equal(parseRoundingMode('nearest-0.50')(12.2), 12);
+  assert.equal(parseRoundingMode('nearest-0.50')(12.3), 12.5);
+  assert.equal(parseRoundingMode('up-100')(6120), 6200);
+  assert.equal(parseRoundingMode('down-5')(14.9), 10);
+  assert.equal(parseRoundingMode('none')(1.006), 1.01);
+  assert.throws(() => parseRoundingMode('ceil'), /Unknown rounding mode: ceil/);
+});
+
+test('computeSellPrice applies markups, margin floors and ceilings', () => {
+  assert.deepEqual(computeSellPrice(10, { markupPercent: 20, markupFixed: 0.5 }), { cost: 10, sell: 12.5, margin: 2.5, capped: false, belowFloor: false });
+  assert.equal(computeSellPrice(10, { markupPercent: 5, minMargin: 2 }).sell, 12);
+  assert.equal(computeSellPrice(10, { minMarginPercent: 30, rounding: 'charm-99' }).sell, 13.99);
+  // Nearest rounding would drop below the floor, so the price is rounded up instead.
+  assert.equal(computeSellPrice(10, { minMargin: 1.1, rounding: 'nearest-0.50' }).sell, 11.5);
+  assert.deepEqual(computeSellPrice(10, { markupPercent: 100, maxPrice: 15 }), { cost: 10, sell: 15, margin: 5, capped: true, belowFloor: false });
+  // A cap under the margin floor wins but is flagged, even when it sells at a loss.
+  assert.deepEqual(computeSellPrice(10, { minMargin: 3, maxPrice: 12 }), { cost: 10, sell: 12, margin: 2, capped: true, belowFloor: true });
+  assert.deepEqual(computeSellPrice(10, { markupPercent: 20, maxPrice: 9 }), { cost: 10, sell: 9, margin: -1, capped: true, belowFloor: true });
+});
+
+test('resolvePricingRule layers defaults, currency, operation and TLD overrides', () => {
+  const rules = {
+    defaults: { markupPercent: 20, rounding: 'charm-99' },
+    currencies: { NGN: { markupFixed: 500 } },
+    operations: { renew: { markupPercent: 15 } },
+    tlds: { com: { markupPercent: 10, operations: { transfer: { markupPercent: 0 } } } },
+    currencyRounding: { NGN: 'up-100' },
+  };
+  assert.deepEqual(resolvePricingRule(rules, { tld: 'net', operation: 'renew', currency: 'USD' }), { markupPercent: 15, rounding: 'charm-99' });
+  assert.deepEqual(resolvePricingRule(rules, { tld: 'com', operation: 'renew', currency: 'USD' }), { markupPercent: 10, rounding: 'charm-99' });
+  assert.equal(resolvePricingRule(rules, { tld: 'com', operation: 'transfer', currency: 'USD' }).markupPercent, 0);
+  assert.deepEqual(resolvePricingRule({ currencyRounding: { NGN: 'up-100' } }, { tld: 'ng', operation: 'create', currency: 'NGN' }), { rounding: 'up-100' });
+  // Currency-specific rounding wins over the currency-agnostic defaults.
+  assert.deepEqual(resolvePricingRule(rules, { tld: 'net', operation: 'renew', currency: 'NGN' }), { markupPercent: 15, markupFixed: 500, rounding: 'up-100' });
+  assert.equal(resolvePricingRule({ ...rules, currencies: { NGN: { rounding: 'up-50' } } }, { tld: 'net', operation: 'renew', currency: 'NGN' }).rounding, 'up-50');
+});
+
+test('resolvePricingRule only applies absolute amounts in the currency they are keyed by', () => {
+  const rules = {
+    defaults: { minMargin: { USD: 1, NGN: 1500 } },
+    currencies: { NGN: { maxPrice: 20000 } },
+    tlds: { ng: { markupFixed: { USD: 2 }, operations: { renew: { maxPrice: { USD: 25 } } } } },
+  };
+  assert.deepEqual(resolvePricingRule(rules, { tld: 'ng', operation: 'renew', currency: 'USD' }), { minMargin: 1, markupFixed: 2, maxPrice: 25 });
+  assert.deepEqual(resolvePricingRule(rules, { tld: 'ng', operation: 'renew', currency: 'NGN' }), { minMargin: 1500, maxPrice: 20000 });
+  assert.deepEqual(resolvePricingRule(rules, { tld: 'ng', operation: 'renew', currency: 'EUR' }), {});
+});
+
+test('validatePricingRules reports the offending field', () => {
+  assert.throws(() => validatePricingRules({ defaults: { markup: 5 } }), /Unknown pricing rule field "markup" at defaults/);
+  assert.throws(() => validatePricingRules({ tlds: { com: { maxPrice: '9' } } }), /tlds\.com\.maxPrice must be a finite number/);
+  assert.throws(() => validatePricingRules({ defaults: { markupFixed: 2 } }), /defaults\.markupFixed must be a finite number keyed by currency/);
+  assert.throws(() => validatePricingRules({ operations: { renew: { minMargin: { usd: 1 } } } }), /operations\.renew\.minMargin must be a finite number keyed by currency/);
+  assert.throws(() => validatePricingRules({ currencies: { USD: { maxPrice: { USD: 9 } } } }), /currencies\.USD\.maxPrice must be a finite number$/);
+  assert.throws(() => validatePricingRules({ tld: {} }), /Unknown pricing rules section "tld"/);
+  assert.throws(() => validatePricingRules({ currencyRounding: { USD: 'x' } }), /currencyRounding\.USD: Unknown rounding mode/);
+});
+
+test('applyPricingRules rewrites catalog rows with sell price and cost', () => {
+  const rows = applyPricingRules([
+    { product_sku: 'com', product_category: 'domain', product_variant: 'create-2y', currency: 'USD', price_amount: 20, product_features: 'provider=alpha' },
+  ], { defaults: { markupPercent: 10, rounding: 'charm-99' } });
+  assert.deepEqual(rows, [
+    { product_sku: 'com', product_category: 'domain', product_variant: 'create-2y', currency: 'USD', price_amount: 22.99, product_features: 'provider=alpha;cost=20' },
+  ]);
+});
+
+test('applyPricingRules flags rows a maxPrice holds below their margin floor or cost', () => {
+  const capped = [];
+  const rows = applyPricingRules([
+    { product_sku: 'com', product_variant: 'create', currency: 'USD', price_amount: 10, product_features: 'provider=alpha' },
+    { product_sku: 'io', product_variant: 'renew', currency: 'USD', price_amount: 40, product_features: 'provider=beta' },
+    { product_sku: 'net', product_variant: 'create', currency: 'USD', price_amount: 5, product_features: 'provider=alpha' },
+  ], { currencies: { USD: { minMargin: 2, maxPrice: 11 } } }, { onCapped: (row) => capped.push(row) });
+  assert.deepEqual(rows.map((r) => [r.price_amount, r.product_features]), [
+    [11, 'provider=alpha;cost=10;capped=below-margin'],
+    [11, 'provider=beta;cost=40;capped=below-cost'],
+    [7, 'provider=alpha;cost=5'],
+  ]);
+  assert.deepEqual(capped, [
+    { tld: 'com', variant: 'create', currency: 'USD', cost: 10, sell: 11, belowCost: false },
+    { tld: 'io', variant: 'renew', currency: 'USD', cost: 40, sell: 11, belowCost: true },
+  ]);
+});
+
+test('applyPricingRules prices a mixed USD/NGN catalog in each row\'s own currency', () => {
+  // The retail pricing example from the README.
+  const rules = {
+    defaults: { markupPercent: 20, minMargin: { USD: 1, EUR: 1, NGN: 1500 }, rounding: 'charm-99' },
+    currencies: { EUR: { rounding: 'nearest-0.50' } },
+    operations: { transfer: { markupPercent: 10 } },
+    tlds: { ng: { markupFixed: { USD: 2, NGN: 3000 }, operations: { renew: { maxPrice: { USD: 25 } } } } },
+    currencyRounding: { NGN: 'up-100' },
+  };
+  const row = (tld, variant, currency, cost) => ({ product_sku: tld, product_variant: variant, currency, price_amount: cost, product_features: 'provider=nira' });
+  const capped = [];
+  const rows = applyPricingRules([
+    row('ng', 'create', 'USD', 10.4),
+    row('ng', 'renew', 'USD', 8.67),
+    row('ng', 'create', 'NGN', 13000),
+    row('ng', 'renew', 'NGN', 13000),
+    row('com.ng', 'create', 'NGN', 1000),
+    row('com', 'create', 'EUR', 9.2),
+  ], rules, { onCapped: (r) => capped.push(r) });
+  assert.deepEqual(rows.map((r) => [r.product_sku, r.product_variant, r.currency, r.price_amount]), [
+    ['ng', 'create', 'USD', 14.99],
+    ['ng', 'renew', 'USD', 12.99],
+    ['ng', 'create', 'NGN', 18600],
+    ['ng', 'renew', 'NGN', 18600],
+    ['com.ng', 'create', 'NGN', 2500],
+    ['com', 'create', 'EUR', 11],
+  ]);
+  assert.deepEqual(capped, []);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateUnifiedList, generateCheapestOpRows, rowsToCsv } from '../src/generators/unified.js';
+import { matchesTldPattern, normalizeProviderRules } from '../src/generators/provider-rules.js';
+
+function results() {
+  const usd = (data) => ({ meta: { currency: 'USD' }, data });
+  return {
+    alpha: usd({
+      com: { 'regular-price': { create: 10, renew: 10 } },
+      'co.uk': { 'regular-price': { create: 5 } },
+      ng: { 'regular-price': { create: 20 } },
+    }),
+    beta: usd({
+      com: { 'regular-price': { create: 10.4, renew: 12 } },
+      'co.uk': { 'regular-price': { create: 4 } },
+      ng: { 'regular-price': { create: 25 } },
+    }),
+  };
+}
+
+test('matchesTldPattern handles exact TLDs and globs', () => {
+  assert.equal(matchesTldPattern('ng', 'ng'), true);
+  assert.equal(matchesTldPattern('.NG', 'ng'), true);
+  assert.equal(matchesTldPattern('ng', 'com.ng'), false);
+  assert.equal(matchesTldPattern('*.uk', 'co.uk'), true);
+  assert.equal(matchesTldPattern('*.uk', 'uk'), false);
+  assert.equal(matchesTldPattern('*', 'anything'), true);
+});
+
+test('unified entries record why the provider won', () => {
+  const list = generateUnifiedList(results());
+  assert.deepEqual(list.map((e) => [e.tld, e.provider, e['selection-reason']]), [
+    ['co.uk', 'beta', 'cheapest'],
+    ['com', 'alpha', 'cheapest'],
+    ['ng', 'alpha', 'cheapest'],
+  ]);
+});
+
+test('pins win regardless of price, the most specific pattern first', () => {
+  const providerRules = { pin: { '*': 'alpha', ng: 'beta' } };
+  const list = generateUnifiedList(results(), { providerRules });
+  const byTld = Object.fromEntries(list.map((e) => [e.tld, e]));
+  assert.equal(byTld.ng.provider, 'beta');
+  assert.equal(byTld.ng['selection-reason'], 'pinned to beta for ng');
+  assert.equal(byTld['co.uk'].provider, 'alpha');
+  assert.equal(byTld['co.uk']['selection-reason'], 'pinned to alpha for *');
+});
+
+test('blocked providers do not compete for matching TLDs', () => {
+  const providerRules = { block: { beta: ['*.uk'] } };
+  const [row] = generateCheapestOpRows(results(), 'create', null, { providerRules }).filter((r) => r.tld === 'co.uk');
+  assert.deepEqual(row, { tld: 'co.uk', provider: 'alpha', currency: 'USD', amount: 5, tier: 'regular-price', reason: 'cheapest; blocked beta' });
+});
+
+test('a preferred provider wins within its tolerance only', () => {
+  const providerRules = { prefer: { provider: 'beta', tolerancePercent: 5 } };
+  const list = generateUnifiedList(results(), { providerRules });
+  const byTld = Object.fromEntries(list.map((e) => [e.tld, e]));
+  assert.equal(byTld.com.provider, 'beta');
+  assert.equal(byTld.com['selection-reason'], 'preferred beta within 5% of alpha (+4.0%)');
+  assert.equal(byTld.ng.provider, 'alpha');
+  assert.equal(byTld.ng['selection-reason'], 'cheapest; alpha more than 5% cheaper than preferred beta');
+
+  // Renew: beta is 20% dearer, so the rows keep alpha and the CSV says why.
+  const rows = generateCheapestOpRows(results(), 'renew', null, { providerRules });
+  assert.equal(rowsToCsv(rows), 'tld,provider,currency,amount,tier,reason\ncom,alpha,USD,10,regular-price,cheapest; alpha more than 5% cheaper than preferred beta');
+});
+
+test('normalizeProviderRules rejects malformed rules', () => {
+  assert.throws(() => normalizeProviderRules({ pins: {} }), /Unknown provider rules section "pins"/);
+  assert.throws(() => normalizeProviderRules({ block: { beta: [] } }), /block.beta must be a TLD pattern/);
+  assert.throws(() => normalizeProviderRules({ prefer: { provider: 'beta', tolerancePercent: -1 } }), (err) => err.code === 'EPROVIDERRULES');
+});
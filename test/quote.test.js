@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createQuoteIndex, parseDomainList, parseDomainName, quoteDomain, quoteDomains, quotesToCsv } from '../src/quote.js';
+
+const unified = [
+  { provider: 'alpha', tld: 'ng', currency: 'USD', 'regular-price': { create: 20, renew: 22, transfer: 20 } },
+  { provider: 'nira', tld: 'com.ng', currency: 'USD', 'regular-price': { create: 4, renew: 4.5 } },
+  {
+    provider: 'beta',
+    tld: 'com',
+    currency: 'USD',
+    'regular-price': { create: 10, renew: 12, transfer: 9 },
+    'regular-price-by-years': { create: { 1: 10, 2: 21 } },
+  },
+  { provider: 'beta', tld: 'xn--p1ai', currency: 'USD', 'regular-price': { create: 5, renew: 5 } },
+];
+
+const exchangeRates = [{ countryCode: 'NG', currencyCode: 'NGN', exchangeRate: 1534.27, inverseRate: 0.00065 }];
+
+test('parseDomainName normalizes case, trailing dots, URLs and IDNs', () => {
+  assert.equal(parseDomainName(' Shop.COM.ng. ').ascii, 'shop.com.ng');
+  assert.equal(parseDomainName('https://Example.com/path?q=1').ascii, 'example.com');
+  const idn = parseDomainName('пример.рф');
+  assert.equal(idn.ascii, 'xn--e1afmkfd.xn--p1ai');
+  assert.equal(idn.unicode, 'пример.рф');
+  assert.throws(() => parseDomainName('bad..name'), (err) => err.code === 'EQUOTE');
+});
+
+test('quoteDomain picks the longest matching TLD', () => {
+  const index = createQuoteIndex(unified);
+  const quote = quoteDomain('shop.com.ng', index);
+  assert.equal(quote.tld, 'com.ng');
+  assert.equal(quote.name, 'shop');
+  assert.equal(quote.provider, 'nira');
+  assert.deepEqual(quote.prices, { create: 4, renew: 4.5, transfer: null });
+
+  assert.equal(quoteDomain('shop.ng', index).tld, 'ng');
+  assert.equal(quoteDomain('пример.рф', index).tld, 'xn--p1ai');
+  // A bare TLD has nothing to register.
+  assert.throws(() => quoteDomain('ng', index), /TLD not found/);
+});
+
+test('quoteDomain totals multi-year prices, preferring by-years tables', () => {
+  const index = createQuoteIndex(unified);
+  const quote = quoteDomain('example.com', index, { years: 2 });
+  assert.deepEqual(quote.totals, { create: 21, renew: 24, transfer: 21 });
+  assert.deepEqual(quoteDomain('shop.ng', index, { years: 3 }).totals, { create: 64, renew: 66, transfer: 64 });
+  assert.throws(() => quoteDomain('example.com', index, { years: 0 }), /Invalid number of years/);
+});
+
+test('quoteDomain converts into another currency with its precision', () => {
+  const index = createQuoteIndex(unified);
+  const quote = quoteDomain('example.com', index, { currency: 'ngn', exchangeRates, currencyPrecision: { NGN: 0 } });
+  assert.equal(quote.currency, 'NGN');
+  assert.equal(quote.exchange_rate, 1534.27);
+  assert.deepEqual(quote.prices, { create: 15343, renew: 18411, transfer: 13808 });
+});
+
+test('quoteDomains reports failures per domain and serializes to CSV', () => {
+  const quotes = quoteDomains(parseDomainList('example.com, shop.com.ng\n# skip.me\nnope.zz\n'), unified);
+  assert.equal(quotes.length, 3);
+  assert.match(quotes[2].error, /nope\.zz/);
+  assert.equal(quotesToCsv(quotes).split('\n')[1], 'example.com,com,beta,USD,1,10,12,9,10,12,9,');
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateCatalogRows, generateCheapestOpRows, generateUnifiedList } from '../src/generators/unified.js';
+import { formatRunSummary, mapWithConcurrency, runGenerators } from '../src/runner.js';
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+function generator(id, generate) {
+  return { id, label: id.toUpperCase(), generate };
+}
+
+test('mapWithConcurrency never exceeds the limit and keeps input order', async () => {
+  let active = 0;
+  let peak = 0;
+  const out = await mapWithConcurrency([30, 10, 20, 5], 2, async (ms) => {
+    active++;
+    peak = Math.max(peak, active);
+    await new Promise((resolve) => setTimeout(resolve, ms));
+    active--;
+    return ms * 2;
+  });
+  assert.deepEqual(out, [60, 20, 40, 10]);
+  assert.equal(peak, 2);
+});
+
+test('runGenerators isolates failures and falls back to the last snapshot', async () => {
+  const ok = generator('alpha', async () => {
+    await tick();
+    return { meta: { currency: 'USD' }, data: { com: { 'regular-price': { create: 10 } } } };
+  });
+  const broken = generator('beta', async () => {
+    const err = new Error('Missing required credential: KEY');
+    err.code = 'EENV';
+    throw err;
+  });
+  const lost = generator('gamma', async () => {
+    throw new Error('HTTP 503');
+  });
+  const snapshots = { beta: { meta: { currency: 'USD', generated_at: '2026-10-01T06:00:00.000Z' }, data: { com: { 'regular-price': { create: 9 } } } } };
+
+  const strict = await runGenerators([ok, broken], { context: () => ({}) });
+  assert.deepEqual(strict.runs.map((r) => r.status), ['ok', 'failed']);
+  assert.deepEqual(Object.keys(strict.resultsById), ['alpha']);
+
+  const { resultsById, fresh, runs } = await runGenerators([broken, ok, lost], {
+    context: () => ({}),
+    concurrency: 1,
+    continueOnError: true,
+    fallback: async (g) => snapshots[g.id] || null,
+  });
+  assert.deepEqual(runs.map((r) => [r.id, r.status]), [['beta', 'fallback'], ['alpha', 'ok'], ['gamma', 'failed']]);
+  assert.deepEqual(Object.keys(resultsById), ['beta', 'alpha']);
+  assert.deepEqual([...fresh], ['alpha']);
+  assert.deepEqual(resultsById.beta.meta.fallback, { reason: 'EENV: Missing required credential: KEY', generated_at: '2026-10-01T06:00:00.000Z' });
+
+  const summary = formatRunSummary(runs).split('\n');
+  assert.equal(summary.length, 5);
+  assert.match(summary[2], /^BETA\s+fallback\s+\d+ms\s+using snapshot from 2026-10-01T06:00:00.000Z; EENV/);
+  assert.match(summary[4], /^GAMMA\s+failed\s+\d+ms\s+HTTP 503$/);
+
+  // Prices from the fallback snapshot are flagged in unified outputs.
+  const unified = generateUnifiedList(resultsById);
+  assert.equal(unified[0].provider, 'beta');
+  assert.equal(unified[0]['stale-since'], '2026-10-01T06:00:00.000Z');
+  const [row] = generateCheapestOpRows(resultsById, 'create', ['alpha', 'beta']);
+  assert.equal(row.reason, 'cheapest; stale snapshot from 2026-10-01T06:00:00.000Z');
+  const catalog = generateCatalogRows(resultsById, ['alpha', 'beta']);
+  assert.deepEqual(catalog.map((r) => [r.product_variant, r.product_features]), [['create', 'provider=beta;stale-since=2026-10-01T06:00:00.000Z']]);
+});
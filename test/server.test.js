@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createPriceServer } from '../src/server.js';
+
+function output(data) {
+  return { meta: { currency: 'USD' }, data };
+}
+
+async function writeFixtures(dir, comPrice = 10) {
+  const write = (name, value) => fs.writeFile(path.join(dir, name), typeof value === 'string' ? value : JSON.stringify(value));
+  await write('exchange-rates.json', [{ currencyCode: 'EUR', exchangeRate: 0.5 }]);
+  await write('openprovider-prices.json', output({
+    com: { 'regular-price': { create: comPrice, renew: 12 } },
+    io: { 'regular-price': { create: 30, renew: 30 } },
+  }));
+  await write('namecheap-prices.json', output({ com: { 'regular-price': { create: 11, renew: 11 } } }));
+  await write('unified-prices.json', [
+    { tld: 'com', provider: comPrice < 11 ? 'openprovider' : 'namecheap', currency: 'USD', 'regular-price': { create: Math.min(comPrice, 11), renew: 11 } },
+    { tld: 'io', provider: 'openprovider', currency: 'USD', 'regular-price': { create: 30, renew: 30 } },
+  ]);
+  await write('unified-create-prices.csv', 'tld,provider,currency,amount,tier,reason\ncom,openprovider,USD,10,regular-price,cheapest');
+}
+
+async function withServer(fn, { watch = false } = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'price-server-'));
+  await writeFixtures(dir);
+  const api = await createPriceServer({ dataDir: dir, watch });
+  await new Promise((resolve) => api.server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${api.server.address().port}`;
+  try {
+    await fn({ api, dir, get: (url, init) => fetch(`${base}${url}`, init) });
+  } finally {
+    await api.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('serves TLD lists, single TLDs, cheapest providers and quotes', () => withServer(async ({ get }) => {
+  const list = await (await get('/tlds?provider=openprovider')).json();
+  assert.deepEqual(list.items.map((e) => e.tld), ['com', 'io']);
+  assert.equal((await (await get('/tlds?maxPrice=20')).json()).total, 1);
+
+  const com = await (await get('/tlds/.COM')).json();
+  assert.deepEqual(Object.keys(com.providers), ['namecheap', 'openprovider']);
+  assert.equal(com.unified.provider, 'openprovider');
+
+  const cheapest = await (await get('/tlds/com/cheapest')).json();
+  assert.equal(cheapest.operations.create.provider, 'openprovider');
+  assert.equal(cheapest.operations.renew.provider, 'namecheap');
+  assert.equal(cheapest.operations.renew.runner_up_price, 12);
+  assert.deepEqual((await (await get('/cheapest/renew')).json()).items.map((i) => [i.tld, i.provider]), [['com', 'namecheap'], ['io', 'openprovider']]);
+
+  const quote = await (await get('/quote/example.com?years=2&currency=EUR')).json();
+  assert.deepEqual(quote.totals, { create: 10.5, renew: 11, transfer: null });
+  const quotes = await (await get('/quote?domain=a.io,b.zz')).json();
+  assert.equal(quotes[0].provider, 'openprovider');
+  assert.match(quotes[1].error, /not found/);
+
+  assert.equal((await get('/tlds/zz')).status, 404);
+  assert.equal((await get('/quote')).status, 400);
+  assert.equal((await get('/tlds', { method: 'POST' })).status, 405);
+  const malformed = await get('/tlds/%E0');
+  assert.equal(malformed.status, 400);
+  assert.deepEqual(await malformed.json(), { error: 'Malformed path: /tlds/%E0' });
+}));
+
+test('serves data files and answers If-None-Match with 304', () => withServer(async ({ get }) => {
+  const csv = await get('/files/unified-create-prices.csv');
+  assert.equal(csv.headers.get('content-type'), 'text/csv; charset=utf-8');
+  assert.match(await csv.text(), /^tld,provider/);
+  assert.equal((await get('/files/..%2Fsecret.txt')).status, 404);
+
+  const first = await get('/tlds/com');
+  const etag = first.headers.get('etag');
+  assert.ok(etag);
+  assert.equal((await get('/tlds/com', { headers: { 'If-None-Match': etag } })).status, 304);
+}));
+
+test('reload picks up changed files and changes the ETag', () => withServer(async ({ api, dir, get }) => {
+  const before = await get('/tlds/com/cheapest');
+  const etag = before.headers.get('etag');
+  await writeFixtures(dir, 8);
+  await api.reload();
+  const after = await get('/tlds/com/cheapest', { headers: { 'If-None-Match': etag } });
+  assert.equal(after.status, 200);
+  assert.equal((await after.json()).operations.create.price, 8);
+}));
+
+test('watch mode reloads after files in the data directory change', () => withServer(async ({ dir, get }) => {
+  await writeFixtures(dir, 7);
+  // The watcher debounces for 200ms; poll instead of guessing how long fs.watch takes.
+  const deadline = Date.now() + 5000;
+  let price;
+  while (Date.now() < deadline) {
+    price = (await (await get('/tlds/com/cheapest')).json()).operations.create.price;
+    if (price === 7) break;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  assert.equal(price, 7);
+}, { watch: true }));
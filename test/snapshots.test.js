@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { loadSnapshots, readSnapshot, withDefaultCurrency } from '../src/snapshots.js';
+
+const generators = [
+  { id: 'alpha', label: 'Alpha' },
+  { id: 'beta', label: 'Beta', defaultOutput: 'beta-export.json' },
+];
+const rates = [{ currencyCode: 'NGN', exchangeRate: 1500 }];
+const snapshot = (create) => ({ meta: { currency: 'USD' }, data: { com: { 'regular-price': { create } } } });
+
+async function withOutDir(files, fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'snapshots-'));
+  try {
+    for (const [name, content] of Object.entries(files)) {
+      await fs.writeFile(path.join(dir, name), typeof content === 'string' ? content : JSON.stringify(content));
+    }
+    await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('loadSnapshots reads exchange rates and each registrar output', () => withOutDir({
+  'exchange-rates.json': rates,
+  'alpha-prices.json': snapshot(10),
+  'beta-export.json': snapshot(9),
+}, async (dir) => {
+  const { exchangeRates, resultsById } = await loadSnapshots(dir, generators, { strict: true });
+  assert.deepEqual(exchangeRates, rates);
+  assert.deepEqual(Object.keys(resultsById), ['alpha', 'beta']);
+  assert.equal(resultsById.beta.data.com['regular-price'].create, 9);
+}));
+
+test('loadSnapshots skips missing registrars unless strict', () => withOutDir({
+  'exchange-rates.json': rates,
+  'alpha-prices.json': snapshot(10),
+}, async (dir) => {
+  const skipped = [];
+  const { resultsById } = await loadSnapshots(dir, generators, { onSkip: (message) => skipped.push(message) });
+  assert.deepEqual(Object.keys(resultsById), ['alpha']);
+  assert.equal(skipped.length, 1);
+  assert.match(skipped[0], /^Skipping Beta: .*beta-export\.json not found$/);
+
+  // An explicit --registrars list makes a missing snapshot an error.
+  await assert.rejects(loadSnapshots(dir, generators, { strict: true }), {
+    code: 'ENOENT',
+    message: `No Beta prices snapshot at ${path.join(dir, 'beta-export.json')}; generate it first`,
+  });
+}));
+
+test('loadSnapshots fails without exchange rates or any registrar snapshot', async () => {
+  await withOutDir({ 'alpha-prices.json': snapshot(10) }, async (dir) => {
+    await assert.rejects(loadSnapshots(dir, generators), { code: 'ENOENT', message: /^No Exchange Rates snapshot at / });
+  });
+  await withOutDir({ 'exchange-rates.json': rates }, async (dir) => {
+    await assert.rejects(loadSnapshots(dir, generators), { message: `No registrar snapshots found in ${dir}` });
+  });
+});
+
+test('readSnapshot reports unparsable files with their label', () => withOutDir({ 'alpha-prices.json': '{ "meta": ' }, async (dir) => {
+  await assert.rejects(readSnapshot(path.join(dir, 'alpha-prices.json'), 'Alpha prices'), {
+    message: new RegExp(`^Failed to parse Alpha prices snapshot at ${path.join(dir, 'alpha-prices.json').replace(/[.\\/]/g, '\\$&')}: `),
+  });
+}));
+
+test('snapshots without meta.currency fall back to the generator default currency', () => withOutDir({
+  'exchange-rates.json': rates,
+  'alpha-prices.json': { meta: { generated_at: '2026-08-22T06:46:45.031Z' }, data: { com: { 'regular-price': { create: 10 } } } },
+  'beta-export.json': { meta: { data_currency: 'NGN' }, data: {} },
+}, async (dir) => {
+  const withDefaults = generators.map((generator) => ({ ...generator, defaultCurrency: 'USD' }));
+  const { resultsById } = await loadSnapshots(dir, withDefaults);
+  assert.equal(resultsById.alpha.meta.currency, 'USD');
+  assert.equal(resultsById.alpha.meta.generated_at, '2026-08-22T06:46:45.031Z');
+  assert.equal(resultsById.beta.meta.currency, undefined);
+  // A currency in the snapshot always wins, and generators without a default leave it alone.
+  assert.equal(withDefaultCurrency({ meta: { currency: 'EUR' } }, { defaultCurrency: 'USD' }).meta.currency, 'EUR');
+  assert.equal(withDefaultCurrency({ meta: {} }, {}).meta.currency, undefined);
+}));
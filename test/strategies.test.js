@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveSelectionStrategy } from '../src/generators/strategies.js';
+import { generateUnifiedList } from '../src/generators/unified.js';
+
+function promoTrap() {
+  return {
+    cheapstart: {
+      meta: { currency: 'USD' },
+      data: { com: { 'regular-price': { create: 2, renew: 20 } } },
+    },
+    steady: {
+      meta: { currency: 'USD' },
+      data: { com: { 'regular-price': { create: 10, renew: 10 } } },
+    },
+  };
+}
+
+test('resolveSelectionStrategy parses the built-in specs', () => {
+  const prices = { create: 2, renew: 20 };
+  assert.equal(resolveSelectionStrategy().metric(prices), 2);
+  assert.equal(resolveSelectionStrategy('renew').metric(prices), 20);
+  assert.equal(resolveSelectionStrategy('renew').metric({ create: 3, transfer: 1 }), 1);
+  assert.equal(resolveSelectionStrategy('tco:3').metric(prices), 42);
+  assert.equal(resolveSelectionStrategy({ type: 'tco', years: 1 }).metric(prices), 2);
+  assert.equal(resolveSelectionStrategy('tco:2').metric({ create: 2 }), Number.POSITIVE_INFINITY);
+  const weighted = resolveSelectionStrategy('weighted:create=1,renew=0.5');
+  assert.equal(weighted.name, 'weighted:create=1,renew=0.5');
+  assert.equal(weighted.metric(prices), 12);
+});
+
+test('resolveSelectionStrategy rejects malformed specs', () => {
+  assert.throws(() => resolveSelectionStrategy('cheapest'), /Unknown selection strategy: cheapest/);
+  assert.throws(() => resolveSelectionStrategy('tco:0'), /Invalid year count/);
+  assert.throws(() => resolveSelectionStrategy('weighted:create=x'), /Invalid weight/);
+  assert.throws(() => resolveSelectionStrategy('weighted:create=0'), /at least one positive weight/);
+});
+
+test('generateUnifiedList picks winners and records the metric per strategy', () => {
+  const [byCreate] = generateUnifiedList(promoTrap());
+  assert.equal(byCreate.provider, 'cheapstart');
+  assert.equal(byCreate['selection-strategy'], 'create');
+  assert.equal(byCreate['selection-metric'], 2);
+
+  const [byTco] = generateUnifiedList(promoTrap(), { strategy: 'tco:3' });
+  assert.equal(byTco.provider, 'steady');
+  assert.equal(byTco['selection-strategy'], 'tco:3');
+  assert.equal(byTco['selection-metric'], 30);
+
+  const custom = { name: 'most-expensive-create', metric: (prices) => -prices.create };
+  const [byCustom] = generateUnifiedList(promoTrap(), { strategy: custom });
+  assert.equal(byCustom.provider, 'steady');
+  assert.equal(byCustom['selection-metric'], -10);
+});
@@ -79,3 +79,20 @@ test('catalogRowsToCsv writes the price-quotes column header and escapes special
   assert.equal(lines[1], 'ng,domain,create,USD,10,provider=alpha');
   assert.equal(lines[2], '"weird,tld",domain,create,USD,1,"label=say ""hi"""');
 });
+
+test('generateCatalogRows adds cheapest multi-year variants when multiYear is set', () => {
+  const results = fakeResults();
+  results.alpha.data.ng['regular-price-by-years'] = { create: { 1: 10, 2: 25 }, renew: { 2: 30 } };
+  results.beta.data.ng['regular-price-by-years'] = { create: { 1: 20, 2: 22 } };
+
+  const rows = generateCatalogRows(results, ['alpha', 'beta'], { multiYear: true });
+  const create2 = rows.find((r) => r.product_sku === 'ng' && r.product_variant === 'create-2y');
+  assert.equal(create2.price_amount, 22);
+  assert.equal(create2.product_features, 'provider=beta');
+  const renew2 = rows.find((r) => r.product_sku === 'ng' && r.product_variant === 'renew-2y');
+  assert.equal(renew2.product_features, 'provider=alpha');
+  assert.equal(rows.some((r) => r.product_variant === 'create-1y'), false);
+
+  const plain = generateCatalogRows(results, ['alpha', 'beta']);
+  assert.equal(plain.some((r) => r.product_variant.endsWith('y')), false);
+});
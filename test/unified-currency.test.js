@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateUnifiedList, generateCheapestOpRows } from '../src/generators/unified.js';
+
+const exchangeRates = [
+  { countryCode: 'DE', currencyCode: 'EUR', exchangeRate: 0.8, inverseRate: 1.25 },
+  { countryCode: 'FR', currencyCode: 'EUR', exchangeRate: 0.8, inverseRate: 1.25 },
+  { countryCode: 'GB', currencyCode: 'GBP', exchangeRate: 0.5, inverseRate: 2 },
+];
+
+function mixedResults() {
+  return {
+    euro: {
+      meta: { currency: 'EUR' },
+      data: { com: { 'regular-price': { create: 9, renew: 9 } } },
+    },
+    dollar: {
+      meta: { currency: 'USD' },
+      data: { com: { 'regular-price': { create: 10, renew: 10 } } },
+    },
+  };
+}
+
+test('generateUnifiedList compares providers in the comparison currency', () => {
+  // EUR 9 is USD 11.25, so the numerically larger USD price wins.
+  const [com] = generateUnifiedList(mixedResults(), { exchangeRates });
+  assert.equal(com.provider, 'dollar');
+  assert.equal(com.currency, 'USD');
+  assert.equal(com['exchange-rate'], 1);
+  assert.equal(com['original-currency'], 'USD');
+});
+
+test('generateUnifiedList records original prices and the rate used', () => {
+  const [com] = generateUnifiedList(mixedResults(), { exchangeRates, comparisonCurrency: 'gbp' });
+  assert.equal(com.provider, 'dollar');
+  assert.equal(com.currency, 'GBP');
+  assert.deepEqual(com['regular-price'], { create: 5, renew: 5 });
+  assert.deepEqual(com['original-price'], { create: 10, renew: 10 });
+  assert.equal(com['exchange-rate'], 0.5);
+
+  const [euroOnly] = generateUnifiedList(mixedResults(), { exchangeRates, providers: ['euro'] });
+  assert.equal(euroOnly['original-currency'], 'EUR');
+  assert.equal(euroOnly['exchange-rate'], 1.25);
+  assert.deepEqual(euroOnly['regular-price'], { create: 11.25, renew: 11.25 });
+});
+
+test('generateCheapestOpRows emits amounts in the comparison currency', () => {
+  const rows = generateCheapestOpRows(mixedResults(), 'create', ['euro', 'dollar'], { exchangeRates, comparisonCurrency: 'EUR' });
+  assert.deepEqual(rows, [{ tld: 'com', provider: 'dollar', currency: 'EUR', amount: 8, tier: 'regular-price', reason: 'cheapest' }]);
+});
+
+test('unified builders fail loudly on unknown currencies', () => {
+  const results = mixedResults();
+  delete results.euro.meta.currency;
+  assert.throws(() => generateUnifiedList(results, { exchangeRates }), /Unknown currency for provider "euro"/);
+  assert.throws(() => generateUnifiedList(mixedResults()), /No exchange rate available for EUR/);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateCheapestOpRows, generateCatalogRows } from '../src/generators/unified.js';
+
+const exchangeRates = [
+  { countryCode: 'DE', currencyCode: 'EUR', exchangeRate: 0.9137, inverseRate: 1.0945 },
+  { countryCode: 'NG', currencyCode: 'NGN', exchangeRate: 1534.27, inverseRate: 0.00065 },
+  { countryCode: 'JP', currencyCode: 'JPY', exchangeRate: 149.6, inverseRate: 0.0067 },
+];
+
+function results() {
+  return {
+    alpha: {
+      meta: { currency: 'USD' },
+      data: {
+        com: {
+          'regular-price': { create: 10, renew: 12 },
+          'regular-price-by-years': { create: { 1: 10, 2: 22 } },
+        },
+      },
+    },
+  };
+}
+
+test('generateCheapestOpRows derives rows for every local currency', () => {
+  const rows = generateCheapestOpRows(results(), 'create', ['alpha'], { exchangeRates, localCurrencies: ['ngn', 'EUR', 'JPY', 'USD'] });
+  assert.deepEqual(rows, [
+    { tld: 'com', provider: 'alpha', currency: 'EUR', amount: 9.14, tier: 'regular-price', reason: 'cheapest' },
+    { tld: 'com', provider: 'alpha', currency: 'JPY', amount: 1496, tier: 'regular-price', reason: 'cheapest' },
+    { tld: 'com', provider: 'alpha', currency: 'NGN', amount: 15342.7, tier: 'regular-price', reason: 'cheapest' },
+    { tld: 'com', provider: 'alpha', currency: 'USD', amount: 10, tier: 'regular-price', reason: 'cheapest' },
+  ]);
+});
+
+test('currencyPrecision controls rounding per currency', () => {
+  const rows = generateCheapestOpRows(results(), 'renew', ['alpha'], {
+    exchangeRates,
+    localCurrencies: ['NGN', 'EUR'],
+    currencyPrecision: { NGN: -2, EUR: 0 },
+  });
+  assert.deepEqual(rows.map((row) => [row.currency, row.amount]), [['EUR', 11], ['NGN', 18400], ['USD', 12]]);
+});
+
+test('native currency maps take precedence over derived prices', () => {
+  const input = {
+    ...results(),
+    nira: {
+      meta: { data_currency: 'USD' },
+      data: { com: { 'regular-price': { create: 11 } } },
+      NGN: { com: { 'regular-price': { create: 16000 } } },
+    },
+  };
+  const rows = generateCheapestOpRows(input, 'create', ['alpha', 'nira'], { exchangeRates, localCurrencies: ['NGN'] });
+  assert.deepEqual(rows.find((row) => row.currency === 'NGN'), { tld: 'com', provider: 'nira', currency: 'NGN', amount: 16000, tier: 'regular-price', reason: 'cheapest' });
+  assert.equal(rows.filter((row) => row.currency === 'NGN').length, 1);
+});
+
+test('generateCatalogRows includes local-currency rows, multi-year variants too', () => {
+  const rows = generateCatalogRows(results(), ['alpha'], { exchangeRates, localCurrencies: ['EUR'], multiYear: true });
+  assert.deepEqual(rows.map((row) => `${row.product_variant}:${row.currency}:${row.price_amount}`), [
+    'create:EUR:9.14',
+    'create:USD:10',
+    'create-2y:EUR:20.1',
+    'create-2y:USD:22',
+    'renew:EUR:10.96',
+    'renew:USD:12',
+  ]);
+});
+
+test('local currencies without an exchange rate are rejected', () => {
+  assert.throws(
+    () => generateCheapestOpRows(results(), 'create', ['alpha'], { exchangeRates, localCurrencies: ['INR'] }),
+    (err) => err.code === 'ECURRENCY' && /INR/.test(err.message),
+  );
+  assert.throws(
+    () => generateCheapestOpRows(results(), 'create', ['alpha'], { exchangeRates, localCurrencies: ['EUR'], currencyPrecision: { EUR: 1.5 } }),
+    /Invalid currency precision/,
+  );
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateUnifiedList, generateCheapestOpRows } from '../src/generators/unified.js';
+
+function promoResults() {
+  return {
+    alpha: {
+      meta: { currency: 'USD' },
+      data: { com: { 'regular-price': { create: 10, renew: 10 } } },
+    },
+    beta: {
+      meta: { currency: 'USD' },
+      data: {
+        com: {
+          'regular-price': { create: 12, renew: 12 },
+          'promo-price': { create: 5, renew: 11 },
+          'promo-expires': { create: '2030-01-31' },
+        },
+      },
+    },
+  };
+}
+
+test('promo prices are ignored unless the promos option is set', () => {
+  const [com] = generateUnifiedList(promoResults());
+  assert.equal(com.provider, 'alpha');
+  assert.equal(com['promo-price'], undefined);
+});
+
+test('currently-valid promo prices compete with regular prices', () => {
+  const [com] = generateUnifiedList(promoResults(), { promos: true, now: '2030-01-31' });
+  assert.equal(com.provider, 'beta');
+  assert.deepEqual(com['promo-price'], { create: 5, renew: 11 });
+  assert.deepEqual(com['promo-expires'], { create: '2030-01-31' });
+  assert.deepEqual(com['regular-price'], { create: 12, renew: 12 });
+
+  const rows = generateCheapestOpRows(promoResults(), 'create', null, { promos: true, now: '2030-01-31' });
+  assert.deepEqual(rows, [{ tld: 'com', provider: 'beta', currency: 'USD', amount: 5, tier: 'promo-price', reason: 'cheapest' }]);
+});
+
+test('expired promo prices are dropped while undated promos stay active', () => {
+  const options = { promos: true, now: new Date('2030-02-01T00:00:00Z') };
+  const [com] = generateUnifiedList(promoResults(), options);
+  assert.equal(com.provider, 'alpha');
+
+  const renew = generateCheapestOpRows(promoResults(), 'renew', null, options);
+  assert.deepEqual(renew, [{ tld: 'com', provider: 'alpha', currency: 'USD', amount: 10, tier: 'regular-price', reason: 'cheapest' }]);
+  const [beta] = generateUnifiedList(promoResults(), { ...options, providers: ['beta'] });
+  assert.deepEqual(beta['promo-price'], { renew: 11 });
+});
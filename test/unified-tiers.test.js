@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateUnifiedList, generateCheapestOpRows, generateCatalogRows, rowsToCsv } from '../src/generators/unified.js';
+
+function tierResults() {
+  return {
+    openprovider: {
+      meta: { currency: 'USD', membership_tiers: ['basic', 'pro', 'expert', 'supreme'] },
+      data: {
+        com: {
+          'regular-price': { create: 12, renew: 12, restore: 20 },
+          'member-price': { create: 9 },
+          'membership-price': {
+            basic: { create: 11, renew: 11 },
+            supreme: { create: 7, renew: 8 },
+          },
+        },
+      },
+    },
+    namecheap: {
+      meta: { currency: 'USD' },
+      data: { com: { 'regular-price': { create: 10, renew: 10 }, 'sale-price': { create: 8.5 } } },
+    },
+  };
+}
+
+test('membershipTiers compares providers on the tier the account pays', () => {
+  assert.equal(generateUnifiedList(tierResults())[0].provider, 'namecheap');
+
+  const [com] = generateUnifiedList(tierResults(), { membershipTiers: { openprovider: 'supreme' } });
+  assert.equal(com.provider, 'openprovider');
+  assert.deepEqual(com['regular-price'], { create: 7, renew: 8, restore: 20 });
+  assert.deepEqual(com['price-tier'], {
+    create: 'membership-price.supreme',
+    renew: 'membership-price.supreme',
+    restore: 'regular-price',
+  });
+
+  const rows = generateCheapestOpRows(tierResults(), 'renew', null, { membershipTiers: { openprovider: 'supreme' } });
+  assert.deepEqual(rows, [{ tld: 'com', provider: 'openprovider', currency: 'USD', amount: 8, tier: 'membership-price.supreme', reason: 'cheapest' }]);
+});
+
+test('membershipTiers rejects tiers the provider does not offer', () => {
+  assert.throws(
+    () => generateUnifiedList(tierResults(), { membershipTiers: { openprovider: 'gold' } }),
+    /Unknown membership tier "gold" for provider "openprovider" \(expected one of basic, pro, expert, supreme\)/,
+  );
+  assert.throws(
+    () => generateUnifiedList(tierResults(), { membershipTiers: { namecheap: 'supreme' } }),
+    /provider has no membership tiers/,
+  );
+});
+
+test('priceTiers picks the price map each provider contributes and records it per row', () => {
+  const priceTiers = { namecheap: 'sale-price', openprovider: 'member-price' };
+  const rows = generateCheapestOpRows(tierResults(), 'create', null, { priceTiers });
+  assert.deepEqual(rows, [{ tld: 'com', provider: 'namecheap', currency: 'USD', amount: 8.5, tier: 'sale-price', reason: 'cheapest' }]);
+  assert.equal(rowsToCsv(rows), 'tld,provider,currency,amount,tier,reason\ncom,namecheap,USD,8.5,sale-price,cheapest');
+
+  // Neither tier prices renew, so both fall back to regular-price.
+  const renew = generateCheapestOpRows(tierResults(), 'renew', null, { priceTiers });
+  assert.deepEqual(renew, [{ tld: 'com', provider: 'namecheap', currency: 'USD', amount: 10, tier: 'regular-price', reason: 'cheapest' }]);
+
+  const [com] = generateUnifiedList(tierResults(), { priceTiers: { openprovider: 'membership-price.supreme' } });
+  assert.equal(com.provider, 'openprovider');
+  assert.equal(com['price-tier'].create, 'membership-price.supreme');
+
+  const catalog = generateCatalogRows(tierResults(), null, { priceTiers });
+  const create = catalog.find((r) => r.product_variant === 'create');
+  assert.equal(create.product_features, 'provider=namecheap;tier=sale-price');
+  const renewRow = catalog.find((r) => r.product_variant === 'renew');
+  assert.equal(renewRow.product_features, 'provider=namecheap');
+});
+
+test('priceTiers rejects tiers a provider does not emit', () => {
+  assert.throws(
+    () => generateUnifiedList(tierResults(), { priceTiers: { namecheap: 'member-price' } }),
+    /Provider "namecheap" has no "member-price" prices/,
+  );
+  assert.throws(
+    () => generateUnifiedList(tierResults(), { priceTiers: { openprovider: 'member-price' }, membershipTiers: { openprovider: 'supreme' } }),
+    /both a price tier and a membership tier/,
+  );
+});